@@ -177,6 +177,11 @@ struct EventsView: View {
     private func joinEvent(_ event: Event, userId: String) async {
         do {
             try await eventViewModel.attendEvent(userId: userId, eventId: event.id)
+            // Full events put the user on the waitlist instead of attending.
+            let isAttending = eventViewModel.events
+                .first(where: { $0.id == event.id })?
+                .attendeeIds.contains(userId) ?? false
+            guard isAttending else { return }
             try await userManager.attendEvent(event.id)
         } catch is CancellationError {
             return
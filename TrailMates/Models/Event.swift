@@ -26,9 +26,19 @@ struct Event: Codable, Identifiable, Sendable {
 
     // Attendance tracking
     var attendeeIds: Set<String>
+    var maxAttendees: Int? = nil  // Server waitlists joiners beyond this
 
     // Status
     var status: EventStatus
+
+    // Recurring events: occurrences are created by the server and link back
+    // to their series, which carries the recurrence rule.
+    var seriesId: String? = nil
+    var occurrenceIndex: Int? = nil
+    var recurrence: String? = nil
+
+    // Maintained by the server for nearby-event queries.
+    var geohash: String? = nil
     
     enum EventType: String, Codable {
         case walk, bike, run
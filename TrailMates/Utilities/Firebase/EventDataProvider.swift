@@ -1,6 +1,8 @@
 import Foundation
 import Firebase
 import FirebaseFirestore
+import FirebaseFunctions
+import CoreLocation
 
 /// Handles all event-related Firebase operations
 /// Extracted from FirebaseDataProvider as part of the provider refactoring
@@ -11,6 +13,13 @@ class EventDataProvider {
 
     // MARK: - Dependencies
     private lazy var db = Firestore.firestore()
+    private lazy var functions: Functions = {
+        let functions = Functions.functions(region: "us-central1")
+        #if DEBUG
+        functions.useEmulator(withHost: "127.0.0.1", port: 5001)
+        #endif
+        return functions
+    }()
 
     private init() {
         // Firestore settings (persistence, cache) are configured centrally
@@ -21,13 +30,9 @@ class EventDataProvider {
     // MARK: - Event CRUD Operations
 
     func fetchAllEvents(limit: Int = 50) async throws -> [Event] {
-        // Use retry logic for network fetch
-        let snapshot = try await withRetry(maxAttempts: 3) {
-            try await self.db.collection(FirestoreConstants.Collections.events)
-                .limit(to: limit)
-                .getDocuments()
-        }
-        return snapshot.documents.compactMap { try? $0.data(as: Event.self) }
+        // Private events are only listable server-side, so go through the
+        // callable rather than querying the whole collection.
+        return try await fetchVisibleEvents(["limit": limit])
     }
 
     func fetchEvent(by id: String) async -> Event? {
@@ -56,29 +61,18 @@ class EventDataProvider {
         try await db.collection(FirestoreConstants.Collections.events).document(eventId).delete()
     }
 
-    func updateEventStatus(_ event: Event) async -> Event {
+    func updateAttendance(eventId: String, userId: String, isAttending: Bool) async throws -> Event {
+        // Attendance goes through the server so capacity and the waitlist are
+        // enforced. A full event leaves the user off attendeeIds (waitlisted).
+        let callable = functions.httpsCallable(
+            isAttending ? FirestoreConstants.Functions.joinEvent : FirestoreConstants.Functions.leaveEvent
+        )
         do {
-            try await db.collection(FirestoreConstants.Collections.events)
-                .document(event.id)
-                .updateData(["status": event.status.rawValue])
-            return event
+            _ = try await withRetry(maxAttempts: 3) {
+                try await callable.call(["eventId": eventId])
+            }
         } catch {
-            let appError = AppError.classify(error)
-            #if DEBUG
-            print("EventDataProvider: Error updating event status: \(appError.errorDescription ?? "Unknown")")
-            #endif
-            return event
-        }
-    }
-
-    func updateAttendance(eventId: String, userId: String, isAttending: Bool) async throws -> Event {
-        let eventRef = db.collection(FirestoreConstants.Collections.events).document(eventId)
-        let attendeeUpdate = isAttending
-            ? FieldValue.arrayUnion([userId])
-            : FieldValue.arrayRemove([userId])
-
-        try await withRetry(maxAttempts: 3) {
-            try await eventRef.updateData(["attendeeIds": attendeeUpdate])
+            throw try AppError.from(error)
         }
 
         guard let updatedEvent = await fetchEvent(by: eventId) else {
@@ -133,12 +127,7 @@ class EventDataProvider {
             let chunk = Array(allIds[chunkStart..<chunkEnd])
 
             do {
-                let snapshot = try await withRetry(maxAttempts: 3) {
-                    try await self.db.collection(FirestoreConstants.Collections.events)
-                        .whereField("hostId", in: chunk)
-                        .getDocuments()
-                }
-                let chunkEvents = snapshot.documents.compactMap { try? $0.data(as: Event.self) }
+                let chunkEvents = try await fetchVisibleEvents(["hostIds": chunk])
                 allEvents.append(contentsOf: chunkEvents)
             } catch {
                 let appError = AppError.classify(error)
@@ -183,14 +172,10 @@ class EventDataProvider {
     /// Fetch events within a date range
     func fetchEvents(from startDate: Date, to endDate: Date) async -> [Event] {
         do {
-            // Use retry logic for network fetch
-            let snapshot = try await withRetry(maxAttempts: 3) {
-                try await self.db.collection(FirestoreConstants.Collections.events)
-                    .whereField("dateTime", isGreaterThanOrEqualTo: startDate)
-                    .whereField("dateTime", isLessThanOrEqualTo: endDate)
-                    .getDocuments()
-            }
-            return snapshot.documents.compactMap { try? $0.data(as: Event.self) }
+            return try await fetchVisibleEvents([
+                "startDate": Self.callableDateFormatter.string(from: startDate),
+                "endDate": Self.callableDateFormatter.string(from: endDate)
+            ])
         } catch {
             let appError = AppError.classify(error)
             #if DEBUG
@@ -199,4 +184,63 @@ class EventDataProvider {
             return []
         }
     }
+
+    // MARK: - Visible Events Callable
+
+    private static let callableDateFormatter: ISO8601DateFormatter = {
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        return formatter
+    }()
+
+    /// Lists events the signed-in user may see via the listVisibleEvents callable
+    private func fetchVisibleEvents(_ parameters: [String: Any]) async throws -> [Event] {
+        let callable = functions.httpsCallable(FirestoreConstants.Functions.listVisibleEvents)
+        do {
+            let result = try await withRetry(maxAttempts: 3) {
+                try await callable.call(parameters)
+            }
+            guard let response = result.data as? [String: Any],
+                  let eventsData = response["events"] as? [[String: Any]] else {
+                throw AppError.invalidData("Invalid response format from server")
+            }
+            return eventsData.compactMap { callableEvent(from: $0) }
+        } catch let error as AppError {
+            throw error
+        } catch {
+            throw try AppError.from(error)
+        }
+    }
+
+    private func callableEvent(from eventData: [String: Any]) -> Event? {
+        guard let id = eventData["id"] as? String,
+              let hostId = eventData["hostId"] as? String,
+              let location = eventData["location"] as? [String: Any],
+              let latitude = location["latitude"] as? Double,
+              let longitude = location["longitude"] as? Double,
+              let dateString = eventData["dateTime"] as? String,
+              let dateTime = Self.callableDateFormatter.date(from: dateString) else {
+            return nil
+        }
+
+        var event = Event(
+            id: id,
+            title: eventData["title"] as? String ?? "",
+            description: eventData["description"] as? String,
+            location: CLLocationCoordinate2D(latitude: latitude, longitude: longitude),
+            locationName: eventData["locationName"] as? String,
+            dateTime: dateTime,
+            hostId: hostId,
+            eventType: (eventData["eventType"] as? String).flatMap(Event.EventType.init) ?? .walk,
+            isPublic: eventData["isPublic"] as? Bool ?? false,
+            tags: eventData["tags"] as? [String] ?? [],
+            attendeeIds: Set(eventData["attendeeIds"] as? [String] ?? []),
+            status: (eventData["status"] as? String).flatMap(Event.EventStatus.init) ?? .upcoming
+        )
+        event.maxAttendees = eventData["maxAttendees"] as? Int
+        event.seriesId = eventData["seriesId"] as? String
+        event.occurrenceIndex = eventData["occurrenceIndex"] as? Int
+        event.recurrence = eventData["recurrence"] as? String
+        return event
+    }
 }
@@ -109,6 +109,12 @@ protocol UserDataProviding {
     /// - Throws: `AppError` if the profile cannot be found.
     func fetchPublicUserProfile(userId: String) async throws -> User
 
+    /// Fetches server-computed profile stats.
+    /// - Parameter userId: The user whose stats to fetch; the current user or a friend.
+    /// - Returns: The user's stats.
+    /// - Throws: `AppError` if the stats cannot be fetched.
+    func fetchUserStats(userId: String) async throws -> UserStats
+
     // MARK: - Username Operations
 
     /// Checks if a username is already taken (local query).
@@ -178,11 +184,6 @@ protocol EventDataProviding {
     /// - Throws: `AppError` if the delete operation fails.
     func deleteEvent(_ eventId: String) async throws
 
-    /// Updates the status of an event (active, cancelled, completed).
-    /// - Parameter event: The event to update.
-    /// - Returns: The updated `Event` with new status.
-    func updateEventStatus(_ event: Event) async -> Event
-
     /// Atomically adds or removes a user from an event's attendee list.
     /// - Parameters:
     ///   - eventId: The event ID to update.
@@ -372,7 +373,8 @@ protocol LandmarkDataProviding {
 
     // MARK: - User Landmark Operations
 
-    /// Marks a landmark as visited by the user.
+    /// Checks the user in at a landmark, marking it visited if the server
+    /// confirms they are nearby.
     /// - Parameters:
     ///   - userId: The user's ID.
     ///   - landmarkId: The landmark's ID.
@@ -35,8 +35,16 @@ enum FirestoreConstants {
         static let checkUsernameTaken = "checkUsernameTaken"
         static let findUsersByPhoneNumbers = "findUsersByPhoneNumbers"
         static let ensureUserDocument = "ensureUserDocument"
+        static let sendFriendRequest = "sendFriendRequest"
         static let acceptFriendRequest = "acceptFriendRequest"
+        static let declineFriendRequest = "declineFriendRequest"
+        static let cancelFriendRequest = "cancelFriendRequest"
         static let removeFriend = "removeFriend"
+        static let joinEvent = "joinEvent"
+        static let leaveEvent = "leaveEvent"
+        static let listVisibleEvents = "listVisibleEvents"
+        static let getUserStats = "getUserStats"
+        static let checkInLandmark = "checkInLandmark"
     }
 
     // MARK: - Realtime Database Paths
@@ -39,45 +39,19 @@ class FriendDataProvider {
             throw AppError.invalidInput("You cannot add yourself as a friend.")
         }
 
-        // Get Firebase UIDs for both users
-        let userDoc = try await db.collection(FirestoreConstants.Collections.users).document(fromUserId).getDocument()
-        let targetDoc = try await db.collection(FirestoreConstants.Collections.users).document(targetUserId).getDocument()
-
-        guard let userId = userDoc.get("id") as? String,
-              let targetId = targetDoc.get("id") as? String else {
-            throw AppError.invalidData("Could not find Firebase UIDs for users")
-        }
-
-        let existingFriends = userDoc.get("friends") as? [String] ?? []
-        guard !existingFriends.contains(targetUserId) else {
-            throw AppError.alreadyExists("Friend relationship")
-        }
-
         // Verify the current user is sending the request
         guard let currentUser = auth.currentUser,
-              currentUser.uid == userId else {
+              currentUser.uid == fromUserId else {
             throw AppError.notAuthenticated("Cannot send request on behalf of another user")
         }
 
-        let requestId = UUID().uuidString
-        let requestRef = rtdb.child(FirestoreConstants.RTDBPaths.friendRequests)
-            .child(targetId)
-            .child(requestId)
-
-        let requestData: [String: Any] = [
-            "fromUserId": fromUserId,  // Use Firebase UID for RTDB
-            "timestamp": ServerValue.timestamp(),
-            "status": "pending"
-        ]
-
-        return try await withCheckedThrowingContinuation { continuation in
-            requestRef.setValue(requestData) { error, _ in
-                if let error = error {
-                    continuation.resume(throwing: AppError.classify(error))
-                } else {
-                    continuation.resume()
-                }
-            }
+        // The server checks privacy settings, duplicates and existing friendships,
+        // and accepts instead if the target already sent us a request.
+        let callable = functions.httpsCallable(FirestoreConstants.Functions.sendFriendRequest)
+        do {
+            _ = try await callable.call(["toUserId": targetUserId])
+        } catch {
+            throw try AppError.from(error)
         }
     }
 
@@ -98,24 +72,32 @@ class FriendDataProvider {
     }
 
     func rejectFriendRequest(requestId: String) async throws {
-        guard let currentUser = auth.currentUser else {
+        guard auth.currentUser != nil else {
             throw AppError.notAuthenticated()
         }
 
-        // Remove friend request and its notification from RTDB
-        let updates: [String: Any?] = [
-            "\(FirestoreConstants.RTDBPaths.friendRequests)/\(currentUser.uid)/\(requestId)": nil,
-            "\(FirestoreConstants.RTDBPaths.notifications)/\(currentUser.uid)/\(requestId)": nil
-        ]
-
-        return try await withCheckedThrowingContinuation { continuation in
-            rtdb.updateChildValues(updates as [AnyHashable : Any]) { error, _ in
-                if let error = error {
-                    continuation.resume(throwing: AppError.classify(error))
-                } else {
-                    continuation.resume()
-                }
+        // The server removes the request and its notification and records the
+        // decline so the sender cannot immediately re-request.
+        let callable = functions.httpsCallable(FirestoreConstants.Functions.declineFriendRequest)
+        do {
+            _ = try await withRetry(maxAttempts: 3) {
+                try await callable.call(["requestId": requestId])
             }
+        } catch {
+            throw try AppError.from(error)
+        }
+    }
+
+    func cancelFriendRequest(to targetUserId: String) async throws {
+        guard auth.currentUser != nil else {
+            throw AppError.notAuthenticated()
+        }
+
+        let callable = functions.httpsCallable(FirestoreConstants.Functions.cancelFriendRequest)
+        do {
+            _ = try await callable.call(["toUserId": targetUserId])
+        } catch {
+            throw try AppError.from(error)
         }
     }
 
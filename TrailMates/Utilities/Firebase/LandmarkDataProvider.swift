@@ -2,6 +2,7 @@ import Foundation
 import Firebase
 import FirebaseAuth
 import FirebaseFirestore
+import FirebaseFunctions
 
 /// Handles all landmark-related Firebase operations
 /// Extracted from FirebaseDataProvider as part of the provider refactoring
@@ -13,6 +14,13 @@ class LandmarkDataProvider {
     // MARK: - Dependencies
     private lazy var db = Firestore.firestore()
     private lazy var auth = Auth.auth()
+    private lazy var functions: Functions = {
+        let functions = Functions.functions(region: "us-central1")
+        #if DEBUG
+        functions.useEmulator(withHost: "127.0.0.1", port: 5001)
+        #endif
+        return functions
+    }()
 
     private init() {
         // Firestore settings (persistence, cache) are configured centrally
@@ -76,10 +84,10 @@ class LandmarkDataProvider {
             guard let currentUser = auth.currentUser, currentUser.uid == userId else {
                 throw AppError.unauthorized("Cannot mark landmarks for another user")
             }
-            let userRef = db.collection(FirestoreConstants.Collections.users).document(userId)
-            try await userRef.updateData([
-                "visitedLandmarkIds": FieldValue.arrayUnion([landmarkId])
-            ])
+            // The server checks the user's live location against the landmark
+            // before adding it to visitedLandmarkIds.
+            let callable = functions.httpsCallable(FirestoreConstants.Functions.checkInLandmark)
+            _ = try await callable.call(["landmarkId": landmarkId])
         } catch {
             let appError = AppError.classify(error)
             #if DEBUG
@@ -499,6 +499,30 @@ class UserDataProvider {
         }
     }
 
+    func fetchUserStats(userId: String) async throws -> UserStats {
+        do {
+            let callable = functions.httpsCallable(FirestoreConstants.Functions.getUserStats)
+            let result = try await withRetry(maxAttempts: 3) {
+                try await callable.call(["userId": userId])
+            }
+
+            guard let response = result.data as? [String: Any],
+                  let joinDate = response["joinDate"] as? String else {
+                throw AppError.invalidData("Invalid response format from server")
+            }
+
+            return UserStats(
+                joinDate: joinDate,
+                landmarkCompletion: response["landmarkCompletion"] as? Int ?? 0,
+                friendCount: response["friendCount"] as? Int ?? 0,
+                hostedEventCount: response["hostedEventCount"] as? Int ?? 0,
+                attendedEventCount: response["attendedEventCount"] as? Int ?? 0
+            )
+        } catch {
+            throw try AppError.from(error)
+        }
+    }
+
     private func callableUser(from userData: [String: Any]) -> User? {
         guard let id = userData["id"] as? String else { return nil }
 
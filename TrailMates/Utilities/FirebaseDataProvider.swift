@@ -230,11 +230,6 @@ class FirebaseDataProvider {
         try await eventProvider.deleteEvent(eventId)
     }
 
-    @available(*, deprecated, message: "Use EventDataProvider.shared.updateEventStatus() instead")
-    func updateEventStatus(_ event: Event) async -> Event {
-        return await eventProvider.updateEventStatus(event)
-    }
-
     @available(*, deprecated, message: "Use EventDataProvider.shared.generateNewEventReference() instead")
     func generateNewEventReference() -> (reference: DocumentReference, id: String) {
         return eventProvider.generateNewEventReference()
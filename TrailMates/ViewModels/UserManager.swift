@@ -757,7 +757,15 @@ class UserManager: ObservableObject {
     }()
 
     func getUserStats(for userId: String) async -> UserStats? {
-        // First fetch the user
+        do {
+            return try await userProvider.fetchUserStats(userId: userId)
+        } catch {
+            #if DEBUG
+            print("UserManager: Falling back to local stats for \(userId): \(error)")
+            #endif
+        }
+
+        // Fall back to counting from the user document
         guard let user = await userProvider.fetchUser(by: userId) else { return nil }
 
         let totalLandmarks = await landmarkProvider.fetchTotalLandmarks()
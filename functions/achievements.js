@@ -0,0 +1,156 @@
+// Badge rules for the achievements engine. Badges are `badgeDefinitions`
+// documents, so new ones (including seasonal challenges) need no deploy:
+//
+//   {
+//     name: "Bridge Collector",
+//     description: "Visit every bridge on the trail.",
+//     active: true,
+//     startsAt: Timestamp, endsAt: Timestamp,  // optional season
+//     criteria: {type: "landmarksInCategory", category: "bridge"},
+//   }
+//
+// Criteria types:
+//   landmarksInCategory {category}  every landmark in the category visited
+//   landmarksVisited {count}        at least `count` landmarks visited
+//   eventsHosted {count, eventType?}    completed events hosted
+//   eventsAttended {count, eventType?}  completed events attended as a guest
+//   friends {count}                 at least `count` friends
+//
+// A seasonal badge can only be earned between startsAt and endsAt, and its
+// landmark and event criteria only count activity from within that window.
+
+// The activity each criteria type depends on, so triggers only evaluate
+// badges their change can affect.
+const CRITERIA_ACTIVITY = {
+  landmarksInCategory: "landmarks",
+  landmarksVisited: "landmarks",
+  eventsHosted: "events",
+  eventsAttended: "events",
+  friends: "friends",
+};
+
+/**
+ * Converts a Timestamp, Date, ISO string or milliseconds to a Date.
+ * @param {*} value Date-like value.
+ * @return {Date|null} The date, or null when missing or invalid.
+ */
+function toDate(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates a badge definition document.
+ * @param {object} definition Badge definition data.
+ * @return {object|null} {criteria, activity, startsAt, endsAt}, or null when
+ *   the definition is malformed.
+ */
+function parseBadgeDefinition(definition) {
+  const criteria = definition && definition.criteria;
+  if (!criteria || !Object.prototype.hasOwnProperty.call(
+      CRITERIA_ACTIVITY, criteria.type)) {
+    return null;
+  }
+  if (criteria.type === "landmarksInCategory") {
+    if (typeof criteria.category !== "string" || !criteria.category) {
+      return null;
+    }
+  } else if (!Number.isInteger(criteria.count) || criteria.count < 1) {
+    return null;
+  }
+  return {
+    criteria,
+    activity: CRITERIA_ACTIVITY[criteria.type],
+    startsAt: toDate(definition.startsAt),
+    endsAt: toDate(definition.endsAt),
+  };
+}
+
+/**
+ * Checks whether a badge can be earned right now.
+ * @param {object} badge Parsed definition from parseBadgeDefinition.
+ * @param {Date} now Current time.
+ * @return {boolean} True inside the badge's season, if it has one.
+ */
+function isBadgeInSeason(badge, now) {
+  return (!badge.startsAt || now >= badge.startsAt) &&
+    (!badge.endsAt || now <= badge.endsAt);
+}
+
+/**
+ * Measures a user's progress toward a badge.
+ * @param {object} badge Parsed definition from parseBadgeDefinition.
+ * @param {object} activity The user's activity.
+ * @param {Array<string>} activity.visitedLandmarkIds Visited landmarks.
+ * @param {Array<object>} activity.checkIns Check-ins as {landmarkId,
+ *   checkedInAt}, used instead of visitedLandmarkIds for seasonal badges.
+ * @param {Map<string, Array<string>>} activity.landmarkIdsByCategory
+ *   Landmark IDs in each category the badges refer to.
+ * @param {Array<object>} activity.hostedEvents Completed hosted events as
+ *   {eventType, dateTime}.
+ * @param {Array<object>} activity.attendedEvents Completed attended events,
+ *   same shape.
+ * @param {Array<string>} activity.friendIds Friend UIDs.
+ * @return {object} {current, target}; the badge is earned once current
+ *   reaches a non-zero target.
+ */
+function badgeProgress(badge, activity) {
+  const {criteria} = badge;
+  const inSeason = (value) => {
+    const date = toDate(value);
+    return Boolean(date) && isBadgeInSeason(badge, date);
+  };
+  const seasonal = Boolean(badge.startsAt || badge.endsAt);
+  const visited = new Set(seasonal ?
+    (activity.checkIns || [])
+        .filter((checkIn) => inSeason(checkIn.checkedInAt))
+        .map((checkIn) => checkIn.landmarkId) :
+    activity.visitedLandmarkIds || []);
+  const countEvents = (events) => (events || []).filter((event) =>
+    (!criteria.eventType || event.eventType === criteria.eventType) &&
+    (!seasonal || inSeason(event.dateTime))).length;
+
+  switch (criteria.type) {
+    case "landmarksInCategory": {
+      const landmarkIds =
+        (activity.landmarkIdsByCategory || new Map()).get(criteria.category) ||
+        [];
+      return {
+        current: landmarkIds.filter((id) => visited.has(id)).length,
+        target: landmarkIds.length,
+      };
+    }
+    case "landmarksVisited":
+      return {current: visited.size, target: criteria.count};
+    case "eventsHosted":
+      return {current: countEvents(activity.hostedEvents),
+        target: criteria.count};
+    case "eventsAttended":
+      return {current: countEvents(activity.attendedEvents),
+        target: criteria.count};
+    default:
+      return {current: new Set(activity.friendIds || []).size,
+        target: criteria.count};
+  }
+}
+
+/**
+ * Checks whether a user has earned a badge.
+ * @param {object} badge Parsed definition from parseBadgeDefinition.
+ * @param {object} activity The user's activity, see badgeProgress.
+ * @return {boolean} True when the badge should be awarded.
+ */
+function isBadgeEarned(badge, activity) {
+  const {current, target} = badgeProgress(badge, activity);
+  return target > 0 && current >= target;
+}
+
+module.exports = {
+  parseBadgeDefinition,
+  isBadgeInSeason,
+  badgeProgress,
+  isBadgeEarned,
+};
@@ -0,0 +1,116 @@
+// RFC 5545 iCalendar output for the calendar feed. Only what calendar apps
+// need to subscribe to a read-only feed: VCALENDAR with one VEVENT each.
+
+const CALENDAR_PRODUCT_ID = "-//TrailMates//Events Feed//EN";
+
+// UIDs must stay the same for an event across every fetch of the feed.
+const CALENDAR_UID_DOMAIN = "trailmates.app";
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11).
+ * @param {string} value Raw text.
+ * @return {string} Escaped text.
+ */
+function escapeText(value) {
+  return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME such as 20261019T140000Z.
+ * @param {Date} date Instant to format.
+ * @return {string} iCalendar UTC date-time.
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Folds a content line so no line exceeds 75 octets, without splitting a
+ * UTF-8 character (RFC 5545 section 3.1).
+ * @param {string} line Unfolded content line.
+ * @return {string} Folded line, continuation lines starting with a space.
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = "";
+  let chunkBytes = 0;
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (chunkBytes + bytes > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      chunkBytes = 0;
+    }
+    chunk += character;
+    chunkBytes += bytes;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Builds the VEVENT lines for one event.
+ * @param {object} event Feed event.
+ * @param {string} event.id Event document ID.
+ * @param {string} event.title Event title.
+ * @param {string=} event.description Event description.
+ * @param {string=} event.locationName Human-readable meeting point.
+ * @param {object=} event.location {latitude, longitude} of the meeting point.
+ * @param {Date} event.start Start time.
+ * @param {Date} event.end End time.
+ * @param {boolean} event.canceled True when the event was canceled.
+ * @param {Date} now Feed generation time, used for DTSTAMP.
+ * @return {Array<string>} Unfolded content lines.
+ */
+function eventLines(event, now) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.id}@${CALENDAR_UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.title || "TrailMates event")}`,
+  ];
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.locationName) {
+    lines.push(`LOCATION:${escapeText(event.locationName)}`);
+  }
+  const {latitude, longitude} = event.location || {};
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    lines.push(`GEO:${latitude};${longitude}`);
+  }
+  lines.push(`STATUS:${event.canceled ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds a complete iCalendar document.
+ * @param {Array<object>} events Feed events, see eventLines.
+ * @param {Date} now Feed generation time.
+ * @return {string} iCalendar text with CRLF line endings.
+ */
+function buildCalendarFeed(events, now) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:TrailMates",
+    ...events.flatMap((event) => eventLines(event, now)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  buildCalendarFeed,
+};
@@ -0,0 +1,134 @@
+// Geohash encoding and radius queries for location-indexed documents.
+// Geohashes sort so that nearby points share prefixes; a radius search reads
+// the geohash ranges of the cell around the center and its eight neighbours,
+// then drops results outside the radius by exact distance.
+
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+const GEOHASH_PRECISION = 10;
+const EARTH_RADIUS_M = 6371008.8;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+/**
+ * Checks for a {latitude, longitude} pair of finite, in-range numbers.
+ * @param {*} point Candidate point.
+ * @return {boolean} True when the point can be encoded.
+ */
+function isValidPoint(point) {
+  return Boolean(point) &&
+    Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90 &&
+    Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+}
+
+/**
+ * Encodes a point as a geohash.
+ * @param {object} point {latitude, longitude}.
+ * @param {number=} precision Number of characters, GEOHASH_PRECISION by
+ *   default.
+ * @return {string} Geohash.
+ */
+function encodeGeohash(point, precision = GEOHASH_PRECISION) {
+  const range = {lat: [-90, 90], lon: [-180, 180]};
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const [axis, coordinate] = evenBit ?
+      ["lon", point.longitude] : ["lat", point.latitude];
+    const middle = (range[axis][0] + range[axis][1]) / 2;
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[axis][0] = middle;
+    } else {
+      range[axis][1] = middle;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Great-circle distance between two points (haversine).
+ * @param {object} from {latitude, longitude}.
+ * @param {object} to {latitude, longitude}.
+ * @return {number} Distance in meters.
+ */
+function distanceMeters(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Size of a geohash cell at a latitude.
+ * @param {number} precision Geohash length.
+ * @param {number} latitude Latitude of the cell.
+ * @return {object} Cell height and width in degrees and in meters.
+ */
+function cellSize(precision, latitude) {
+  const lonBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+  const heightDegrees = 180 / 2 ** latBits;
+  const widthDegrees = 360 / 2 ** lonBits;
+  return {
+    heightDegrees,
+    widthDegrees,
+    heightMeters: heightDegrees * METERS_PER_DEGREE_LATITUDE,
+    widthMeters: widthDegrees * METERS_PER_DEGREE_LATITUDE *
+      Math.cos(latitude * Math.PI / 180),
+  };
+}
+
+/**
+ * Computes the geohash ranges covering a circle. Uses the longest geohash
+ * whose cells are at least as large as the radius, so the center cell and
+ * its neighbours contain the whole circle.
+ * @param {object} center {latitude, longitude}.
+ * @param {number} radiusMeters Search radius.
+ * @return {Array<Array<string>>} [start, end] pairs for orderBy("geohash")
+ *   startAt/endAt queries, without duplicates.
+ */
+function geohashQueryBounds(center, radiusMeters) {
+  let precision = 1;
+  while (precision < GEOHASH_PRECISION) {
+    const next = cellSize(precision + 1, center.latitude);
+    if (Math.min(next.heightMeters, next.widthMeters) < radiusMeters) {
+      break;
+    }
+    precision++;
+  }
+
+  const {heightDegrees, widthDegrees} = cellSize(precision, center.latitude);
+  const prefixes = new Set();
+  [-1, 0, 1].forEach((latStep) => {
+    [-1, 0, 1].forEach((lonStep) => {
+      const latitude = Math.max(-90, Math.min(90,
+          center.latitude + latStep * heightDegrees));
+      let longitude = center.longitude + lonStep * widthDegrees;
+      if (longitude > 180) {
+        longitude -= 360;
+      } else if (longitude < -180) {
+        longitude += 360;
+      }
+      prefixes.add(encodeGeohash({latitude, longitude}, precision));
+    });
+  });
+  return [...prefixes].sort().map((prefix) => [prefix, `${prefix}~`]);
+}
+
+module.exports = {
+  isValidPoint,
+  encodeGeohash,
+  distanceMeters,
+  geohashQueryBounds,
+};
@@ -1,7 +1,38 @@
 const functions = require("firebase-functions");
-const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const {
+  onCall,
+  onRequest,
+  HttpsError,
+} = require("firebase-functions/v2/https");
+const {defineInt} = require("firebase-functions/params");
 const admin = require("firebase-admin");
 const crypto = require("crypto");
+const {sendNotificationPush} = require("./push");
+const {buildCalendarFeed} = require("./calendar");
+const {buildLocationSharePage} = require("./shareMap");
+const {
+  parseLandmarkGeoJson,
+  parseLandmarkCsv,
+  diffLandmarks,
+  buildLandmarkGeoJson,
+} = require("./landmarks");
+const {
+  parseBadgeDefinition,
+  isBadgeInSeason,
+  isBadgeEarned,
+} = require("./achievements");
+const {
+  isValidPoint,
+  encodeGeohash,
+  distanceMeters,
+  geohashQueryBounds,
+} = require("./geo");
+const {isOnTrail, trailDistanceMeters} = require("./trail");
+const {
+  isValidTimeZone,
+  parseRecurrenceRule,
+  nextOccurrences,
+} = require("./recurrence");
 // const {DocumentSnapshot} = require("firebase-admin/firestore");
 
 admin.initializeApp();
@@ -10,6 +41,165 @@ const LOOKUP_RATE_LIMIT_WINDOW_MS = 60 * 1000;
 const LOOKUP_RATE_LIMIT_MAX_REQUESTS = 30;
 const lookupRateLimitBuckets = new Map();
 
+// After a decline, the same sender must wait this long before asking again.
+const FRIEND_REQUEST_DECLINE_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Firestore rejects batches with more than 500 writes.
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// deleteAccount requires a sign-in this recent, like Auth's own user.delete().
+const ACCOUNT_DELETION_MAX_AUTH_AGE_S = 5 * 60;
+
+// Version of the exportMyData archive layout. Bump when fields change shape.
+const DATA_EXPORT_FORMAT_VERSION = 1;
+const DATA_EXPORT_URL_TTL_MS = 15 * 60 * 1000;
+
+// Calendar feed tokens are URL-safe random strings; only their SHA-256 is
+// stored. The feed keeps this much history so recent meetups stay visible.
+const CALENDAR_FEED_TOKEN_BYTES = 32;
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+// Location share links carry a random token like calendar feeds, and stop
+// working at expiresAt. Durations are in minutes; a user can have at most
+// LOCATION_SHARE_MAX_ACTIVE links live at once.
+const LOCATION_SHARE_TOKEN_BYTES = 32;
+const LOCATION_SHARE_MIN_MINUTES = 15;
+const LOCATION_SHARE_MAX_MINUTES = 24 * 60;
+const LOCATION_SHARE_DEFAULT_MINUTES = 2 * 60;
+const LOCATION_SHARE_MAX_ACTIVE = 5;
+const LOCATION_SHARE_MAX_LABEL_LENGTH = 60;
+const LOCATION_SHARE_REFRESH_S = 15;
+
+// Share links are opened without signing in, so their endpoints are limited
+// per client IP instead of per user.
+const LOCATION_SHARE_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const LOCATION_SHARE_RATE_LIMIT_MAX_REQUESTS = 60;
+const locationShareRateLimitBuckets = new Map();
+
+const EVENT_INVITE_MAX_INVITEES = 50;
+
+// Expected event length by eventType, used when an event has no
+// durationMinutes of its own. Events are active for this long after dateTime.
+const EVENT_DEFAULT_DURATION_MINUTES = {
+  walk: 90,
+  run: 60,
+  bike: 120,
+};
+const EVENT_FALLBACK_DURATION_MINUTES = 90;
+
+// Edits to an event within this window update the attendees' existing
+// eventUpdate notification instead of creating (and pushing) a new one.
+const EVENT_UPDATE_COALESCE_WINDOW_MS = 10 * 60 * 1000;
+
+// findNearbyEvents limits. The default window starts now.
+const NEARBY_EVENTS_MAX_RADIUS_M = 50 * 1000;
+const NEARBY_EVENTS_DEFAULT_WINDOW_DAYS = 30;
+const NEARBY_EVENTS_MAX_RESULTS = 50;
+
+// listVisibleEvents defaults to events from the past week onwards.
+const LIST_VISIBLE_EVENTS_DEFAULT_PAST_DAYS = 7;
+const LIST_VISIBLE_EVENTS_DEFAULT_LIMIT = 50;
+const LIST_VISIBLE_EVENTS_MAX_LIMIT = 200;
+
+// Live locations not updated for LOCATION_TTL_MINUTES are removed, so a user
+// whose app died stops showing on the trail. Users who opt in with
+// `saveLocationHistory` also get a rolling history holding one point per
+// LOCATION_HISTORY_INTERVAL_MS, capped at LOCATION_HISTORY_MAX_POINTS and
+// pruned after LOCATION_HISTORY_MAX_AGE_MS.
+const LOCATION_TTL_DEFAULT_MINUTES = 30;
+const locationTtlMinutes = defineInt("LOCATION_TTL_MINUTES", {
+  default: LOCATION_TTL_DEFAULT_MINUTES,
+  description: "Minutes without an update before a live location expires.",
+});
+const LOCATION_HISTORY_INTERVAL_MS = 30 * 1000;
+const LOCATION_HISTORY_MAX_POINTS = 480;
+const LOCATION_HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// checkInLandmark accepts a live location only this fresh, and only within
+// the landmark category's radius. Large landmarks such as parks get more room
+// because visitors can be far from the pin and still be there.
+const LANDMARK_CHECK_IN_MAX_LOCATION_AGE_MS = 2 * 60 * 1000;
+const LANDMARK_CHECK_IN_RADIUS_M = {
+  park: 250,
+  trail: 150,
+};
+const LANDMARK_CHECK_IN_DEFAULT_RADIUS_M = 100;
+
+// suggestMeetup plans for up to MEETUP_MAX_FRIENDS friends, using live
+// locations this fresh, and estimates arrival times at these paces in meters
+// per minute along the trail.
+const MEETUP_MAX_FRIENDS = 10;
+const MEETUP_MAX_LOCATION_AGE_MS = 10 * 60 * 1000;
+const MEETUP_PACE_M_PER_MIN = {
+  walk: 80,
+  run: 170,
+  bike: 300,
+};
+
+// getFriendsLeaderboard periods in days (null for all time), and the
+// leaderboard count each activity entry type adds to.
+const LEADERBOARD_PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  allTime: null,
+};
+const LEADERBOARD_METRIC_BY_ACTIVITY = {
+  landmarkVisited: "landmarksVisited",
+  eventAttended: "eventsAttended",
+  eventHosted: "eventsHosted",
+};
+
+// importLandmarks rejects larger imports, and reports at most this many
+// validation errors.
+const LANDMARK_IMPORT_MAX_ROWS = 2000;
+const LANDMARK_IMPORT_MAX_ERRORS = 50;
+
+// Each active event series keeps this many future occurrences as `events`
+// documents; materializeEventSeries tops the window up as they pass.
+const EVENT_SERIES_MATERIALIZED_OCCURRENCES = 6;
+
+// Event fields copied from an event series to each occurrence. A series edit
+// changes them on every upcoming occurrence not edited on its own.
+const EVENT_SERIES_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "locationName",
+  "eventType",
+  "isPublic",
+  "tags",
+  "maxAttendees",
+];
+
+/**
+ * Counts a request against a fixed-window rate limit kept in this function
+ * instance.
+ * @param {Map<string, number>} buckets Request counts for this limit.
+ * @param {string} key What is being limited, such as an endpoint and caller.
+ * @param {number} maxRequests Requests allowed per window.
+ * @param {number} windowMs Window length in milliseconds.
+ * @return {boolean} False when the key is over the limit.
+ */
+function consumeRateLimit(buckets, key, maxRequests, windowMs) {
+  const bucket = Math.floor(Date.now() / windowMs);
+  const bucketKey = `${key}:${bucket}`;
+  const currentCount = buckets.get(bucketKey) || 0;
+
+  if (currentCount >= maxRequests) {
+    return false;
+  }
+
+  buckets.set(bucketKey, currentCount + 1);
+
+  // Keep memory bounded in warm function instances.
+  for (const staleKey of buckets.keys()) {
+    if (!staleKey.endsWith(`:${bucket}`)) {
+      buckets.delete(staleKey);
+    }
+  }
+  return true;
+}
+
 /**
  * Applies a lightweight per-instance rate limit to authenticated lookup
  * callables. Cloud Functions maxInstances keeps the aggregate bound small;
@@ -26,26 +216,28 @@ function enforceLookupRateLimit(request, functionName) {
     );
   }
 
-  const now = Date.now();
-  const bucket = Math.floor(now / LOOKUP_RATE_LIMIT_WINDOW_MS);
-  const key = `${functionName}:${uid}:${bucket}`;
-  const currentCount = lookupRateLimitBuckets.get(key) || 0;
-
-  if (currentCount >= LOOKUP_RATE_LIMIT_MAX_REQUESTS) {
+  if (!consumeRateLimit(lookupRateLimitBuckets, `${functionName}:${uid}`,
+      LOOKUP_RATE_LIMIT_MAX_REQUESTS, LOOKUP_RATE_LIMIT_WINDOW_MS)) {
     throw new HttpsError(
         "resource-exhausted",
         "Too many lookup requests. Please try again shortly.",
     );
   }
+}
 
-  lookupRateLimitBuckets.set(key, currentCount + 1);
-
-  // Keep memory bounded in warm function instances.
-  for (const bucketKey of lookupRateLimitBuckets.keys()) {
-    if (!bucketKey.endsWith(`:${bucket}`)) {
-      lookupRateLimitBuckets.delete(bucketKey);
-    }
-  }
+/**
+ * Applies a per-instance rate limit to the public location share endpoints,
+ * keyed by client IP because viewers do not sign in. As with
+ * enforceLookupRateLimit, maxInstances keeps the aggregate bound small.
+ * @param {object} req HTTPS request.
+ * @param {string} endpointName Endpoint name for bucket separation.
+ * @return {boolean} False when the client is over the limit.
+ */
+function allowLocationShareRequest(req, endpointName) {
+  return consumeRateLimit(locationShareRateLimitBuckets,
+      `${endpointName}:${req.ip || "unknown"}`,
+      LOCATION_SHARE_RATE_LIMIT_MAX_REQUESTS,
+      LOCATION_SHARE_RATE_LIMIT_WINDOW_MS);
 }
 
 /**
@@ -125,6 +317,257 @@ function publicUserPayload(doc) {
   };
 }
 
+/**
+ * Converts a stored date (Firestore Timestamp, Date, epoch milliseconds or ISO
+ * string) into an ISO-8601 string.
+ * @param {*} value Stored date value.
+ * @return {string|null} ISO string, or null when the value is missing.
+ */
+function toISOStringOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value.toDate) {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date || typeof value === "number") {
+    return new Date(value).toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Converts a stored date (Firestore Timestamp, Date, epoch milliseconds or ISO
+ * string) into a Date.
+ * @param {*} value Stored date value.
+ * @return {Date|null} Date, or null when missing or unparseable.
+ */
+function toDateOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Returns how long an event is expected to run.
+ * @param {object} eventData Firestore event data.
+ * @return {number} Duration in milliseconds.
+ */
+function eventDurationMs(eventData) {
+  const minutes = typeof eventData.durationMinutes === "number" &&
+    eventData.durationMinutes > 0 ?
+    eventData.durationMinutes :
+    EVENT_DEFAULT_DURATION_MINUTES[eventData.eventType] ||
+      EVENT_FALLBACK_DURATION_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Computes the status an event should have at a given time. Canceled and
+ * completed events never change, and events only move forward.
+ * @param {object} eventData Firestore event data.
+ * @param {Date} now Reference time.
+ * @return {string} upcoming, active, completed or canceled.
+ */
+function eventStatusAt(eventData, now) {
+  const status = eventData.status || "upcoming";
+  const start = toDateOrNull(eventData.dateTime);
+  if (status === "canceled" || status === "completed" || !start) {
+    return status;
+  }
+
+  const end = start.getTime() + eventDurationMs(eventData);
+  if (now.getTime() >= end) {
+    return "completed";
+  }
+  if (now.getTime() >= start.getTime()) {
+    return "active";
+  }
+  return status;
+}
+
+/**
+ * Computes the geohash findNearbyEvents searches by. Completed and canceled
+ * events get none, so nearby searches never read finished events and their
+ * cost does not grow with history.
+ * @param {object} eventData Firestore event data.
+ * @return {?string} Geohash, or null when the event should not be found.
+ */
+function eventGeohash(eventData) {
+  if (eventData.status === "completed" || eventData.status === "canceled" ||
+      !isValidPoint(eventData.location)) {
+    return null;
+  }
+  return encodeGeohash(eventData.location);
+}
+
+/**
+ * Lists the attendee-visible fields that changed between two versions of an
+ * event. Automatic lifecycle transitions are not reported; only a change to
+ * or from `canceled` counts as a status change.
+ * @param {object} before Event data before the write.
+ * @param {object} after Event data after the write.
+ * @return {Array<string>} Changed fields out of title, dateTime, location
+ *   and status.
+ */
+function changedEventFields(before, after) {
+  const changed = [];
+  if ((before.title || "") !== (after.title || "")) {
+    changed.push("title");
+  }
+
+  const beforeDate = toDateOrNull(before.dateTime);
+  const afterDate = toDateOrNull(after.dateTime);
+  if ((beforeDate && beforeDate.getTime()) !==
+      (afterDate && afterDate.getTime())) {
+    changed.push("dateTime");
+  }
+
+  const beforeLocation = before.location || {};
+  const afterLocation = after.location || {};
+  if (beforeLocation.latitude !== afterLocation.latitude ||
+      beforeLocation.longitude !== afterLocation.longitude) {
+    changed.push("location");
+  }
+
+  if (before.status !== after.status &&
+      (before.status === "canceled" || after.status === "canceled")) {
+    changed.push("status");
+  }
+  return changed;
+}
+
+/**
+ * Builds the eventUpdate notification text for a set of changed fields.
+ * @param {object} eventData Current event data.
+ * @param {Array<string>} changedFields Fields from changedEventFields.
+ * @return {string} Notification content.
+ */
+function eventUpdateMessage(eventData, changedFields) {
+  const title = eventData.title || "An event";
+  if (changedFields.includes("status")) {
+    return eventData.status === "canceled" ?
+      `'${title}' has been canceled.` :
+      `'${title}' is back on!`;
+  }
+
+  const labels = {title: "name", dateTime: "time", location: "location"};
+  const changes = changedFields.map((field) => labels[field]);
+  const described = changes.length > 1 ?
+    `${changes.slice(0, -1).join(", ")} and ${changes[changes.length - 1]}` :
+    changes[0];
+  return `'${title}' has a new ${described}.`;
+}
+
+/**
+ * Hashes a secret URL token (calendar feeds, location shares) for storage and
+ * lookup.
+ * @param {string} token Token from the URL.
+ * @return {string} Hex-encoded SHA-256 of the token.
+ */
+function tokenHash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Converts a location share document into what its owner sees when listing
+ * shares. The token itself is never stored, so it is not included.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc Location share snapshot.
+ * @return {object} Share summary.
+ */
+function locationSharePayload(doc) {
+  const data = doc.data() || {};
+  return {
+    shareId: doc.id,
+    label: data.label || null,
+    createdAt: toISOStringOrNull(data.createdAt),
+    expiresAt: toISOStringOrNull(data.expiresAt),
+  };
+}
+
+/**
+ * Converts a user's own Firestore document into the profile section of their
+ * data export. Like publicUserPayload, fields are listed explicitly so new
+ * document fields are never exported by accident.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc User document snapshot.
+ * @return {object} Exported profile.
+ */
+function exportUserPayload(doc) {
+  const userData = doc.data() || {};
+  const arrayOrEmpty = (value) => Array.isArray(value) ? value : [];
+
+  return {
+    ...publicUserPayload(doc),
+    phoneNumber: userData.phoneNumber || null,
+    doNotDisturb: userData.doNotDisturb === true,
+    createdEventIds: arrayOrEmpty(userData.createdEventIds),
+    attendingEventIds: arrayOrEmpty(userData.attendingEventIds),
+    visitedLandmarkIds: arrayOrEmpty(userData.visitedLandmarkIds),
+    receiveFriendRequests: userData.receiveFriendRequests !== false,
+    receiveFriendEvents: userData.receiveFriendEvents !== false,
+    receiveEventUpdates: userData.receiveEventUpdates !== false,
+    shareLocationWithFriends: userData.shareLocationWithFriends !== false,
+    shareLocationWithEventHost: userData.shareLocationWithEventHost !== false,
+    shareLocationWithEventGroup: userData.shareLocationWithEventGroup !== false,
+    allowFriendsToInviteOthers: userData.allowFriendsToInviteOthers !== false,
+  };
+}
+
+/**
+ * Converts a Firestore event document into the shape used in data exports.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc Event document snapshot.
+ * @return {object} Exported event.
+ */
+function exportEventPayload(doc) {
+  const eventData = doc.data() || {};
+  const location = eventData.location || {};
+
+  return {
+    id: doc.id,
+    title: eventData.title || "",
+    description: eventData.description || null,
+    location: {
+      latitude: typeof location.latitude === "number" ?
+        location.latitude : null,
+      longitude: typeof location.longitude === "number" ?
+        location.longitude : null,
+    },
+    locationName: eventData.locationName || null,
+    dateTime: toISOStringOrNull(eventData.dateTime),
+    hostId: eventData.hostId || null,
+    eventType: eventData.eventType || null,
+    isPublic: eventData.isPublic !== false,
+    tags: Array.isArray(eventData.tags) ? eventData.tags : [],
+    attendeeCount: Array.isArray(eventData.attendeeIds) ?
+      eventData.attendeeIds.length : 0,
+    status: eventData.status || null,
+  };
+}
+
+/**
+ * Converts an event document into the shape the app decodes into Event.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc Event document snapshot.
+ * @return {object} Event payload with ISO date strings.
+ */
+function visibleEventPayload(doc) {
+  const eventData = doc.data() || {};
+  const payload = exportEventPayload(doc);
+  delete payload.attendeeCount;
+  return {
+    ...payload,
+    isPublic: eventData.isPublic === true,
+    attendeeIds: Array.isArray(eventData.attendeeIds) ?
+      eventData.attendeeIds : [],
+    maxAttendees: typeof eventData.maxAttendees === "number" ?
+      eventData.maxAttendees : null,
+    seriesId: eventData.seriesId || null,
+    occurrenceIndex: eventData.occurrenceIndex || null,
+    recurrence: eventData.recurrence || null,
+  };
+}
+
 /**
  * Normalizes a username for exact case-insensitive lookup.
  * @param {string} username Username with or without @ prefix.
@@ -134,6 +577,448 @@ function normalizeUsername(username) {
   return username.trim().replace(/^@/, "").toLowerCase();
 }
 
+/**
+ * Builds the display name used in server-written notification content.
+ * @param {object} profile Public user payload from publicUserPayload.
+ * @return {string} "First Last", falling back to @username.
+ */
+function notificationDisplayName(profile) {
+  const fullName = `${profile.firstName} ${profile.lastName}`.trim();
+  if (fullName) {
+    return fullName;
+  }
+  return profile.username ? `@${profile.username}` : "Someone";
+}
+
+/**
+ * Builds an RTDB notification in the shape enforced by the
+ * `notifications/$uid/$notificationId` validate rule.
+ * @param {string} type NotificationType raw value.
+ * @param {string} fromUserId UID of the user the notification is about.
+ * @param {string} content Message shown to the recipient.
+ * @param {string=} relatedEventId Optional related event ID.
+ * @return {object} Notification payload.
+ */
+function buildNotification(type, fromUserId, content, relatedEventId) {
+  const notification = {
+    type,
+    fromUserId,
+    content,
+    timestamp: Date.now(),
+    read: false,
+  };
+  if (relatedEventId) {
+    notification.relatedEventId = relatedEventId;
+  }
+  return notification;
+}
+
+/**
+ * Finds a pending friend request from one user in another user's inbox.
+ * @param {string} recipientId UID whose inbox is searched.
+ * @param {string} senderId UID of the request sender.
+ * @return {Promise<string|null>} Request ID, or null when none exists.
+ */
+async function findPendingFriendRequest(recipientId, senderId) {
+  const snapshot = await admin.database()
+      .ref(`friend_requests/${recipientId}`)
+      .orderByChild("fromUserId")
+      .equalTo(senderId)
+      .get();
+
+  let requestId = null;
+  snapshot.forEach((child) => {
+    const status = child.child("status").val();
+    if (!requestId && (!status || status === "pending")) {
+      requestId = child.key;
+    }
+  });
+  return requestId;
+}
+
+/**
+ * Adds a `friendAccepted` notification for the original requester to a
+ * multi-path RTDB update, so it is written together with the request cleanup.
+ * @param {object} updates Multi-path update map to extend.
+ * @param {FirebaseFirestore.DocumentSnapshot} accepterDoc User document of
+ *   the user who accepted.
+ * @param {string} requesterId UID of the user who sent the request.
+ */
+function addFriendAcceptedNotification(updates, accepterDoc, requesterId) {
+  const notificationId = admin.database()
+      .ref(`notifications/${requesterId}`)
+      .push().key;
+  const accepterName = notificationDisplayName(publicUserPayload(accepterDoc));
+  updates[`notifications/${requesterId}/${notificationId}`] =
+    buildNotification(
+        "friendAccepted",
+        accepterDoc.id,
+        `${accepterName} accepted your friend request!`,
+    );
+}
+
+/**
+ * Adds a friend request outcome to a multi-path RTDB update. History lives
+ * under `friend_request_history/{toUserId}/{fromUserId}`, which clients cannot
+ * read or write.
+ * @param {object} updates Multi-path update map to extend.
+ * @param {object} outcome Request outcome.
+ * @param {string} outcome.requestId Friend request ID.
+ * @param {string} outcome.toUserId Request recipient UID.
+ * @param {string} outcome.fromUserId Request sender UID.
+ * @param {string} outcome.status accepted, rejected or canceled.
+ * @param {string} outcome.actorId UID of the user who resolved the request.
+ */
+function recordFriendRequestOutcome(updates, outcome) {
+  const {requestId, toUserId, fromUserId, status, actorId} = outcome;
+  updates[`friend_request_history/${toUserId}/${fromUserId}/${requestId}`] = {
+    status,
+    actorId,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Returns the time of the most recent decline of requests from one user to
+ * another, or null when the recipient has never declined them.
+ * @param {string} toUserId Request recipient UID.
+ * @param {string} fromUserId Request sender UID.
+ * @return {Promise<number|null>} Decline time in epoch milliseconds.
+ */
+async function lastFriendRequestDeclineTime(toUserId, fromUserId) {
+  const snapshot = await admin.database()
+      .ref(`friend_request_history/${toUserId}/${fromUserId}`)
+      .get();
+
+  let lastDeclinedAt = null;
+  snapshot.forEach((child) => {
+    const entry = child.val() || {};
+    if (entry.status === "rejected" && typeof entry.timestamp === "number" &&
+        (lastDeclinedAt === null || entry.timestamp > lastDeclinedAt)) {
+      lastDeclinedAt = entry.timestamp;
+    }
+  });
+  return lastDeclinedAt;
+}
+
+/**
+ * Returns every user hidden from the given user by a block in either
+ * direction. Blocks live under `blocks/{blockerId}/{blockedId}` with a
+ * `blocked_by/{blockedId}/{blockerId}` reverse index.
+ * @param {string} userId UID to look up.
+ * @return {Promise<Set<string>>} UIDs the user blocked or was blocked by.
+ */
+async function blockedUserIdsFor(userId) {
+  const [blockingSnapshot, blockedBySnapshot] = await Promise.all([
+    admin.database().ref(`blocks/${userId}`).get(),
+    admin.database().ref(`blocked_by/${userId}`).get(),
+  ]);
+
+  const blockedUserIds = new Set();
+  blockingSnapshot.forEach((child) => {
+    blockedUserIds.add(child.key);
+  });
+  blockedBySnapshot.forEach((child) => {
+    blockedUserIds.add(child.key);
+  });
+  return blockedUserIds;
+}
+
+/**
+ * Checks whether either user has blocked the other.
+ * @param {string} userId First UID.
+ * @param {string} otherUserId Second UID.
+ * @return {Promise<boolean>} True when a block exists in either direction.
+ */
+async function isBlockedBetween(userId, otherUserId) {
+  const [forward, reverse] = await Promise.all([
+    admin.database().ref(`blocks/${userId}/${otherUserId}`).get(),
+    admin.database().ref(`blocks/${otherUserId}/${userId}`).get(),
+  ]);
+  return forward.exists() || reverse.exists();
+}
+
+/**
+ * Decides whether a user may see an event, matching the events read rule:
+ * public events, events the user hosts or attends, private events hosted by
+ * one of the user's friends and events the user was invited to.
+ * @param {object} eventData Event document data.
+ * @param {string} userId UID of the viewer.
+ * @param {Set<string>} friendIds Users whose own friends list includes the
+ *   viewer (see befriendingUserIdsFor); the viewer's list is not trusted
+ *   because owners can edit it.
+ * @param {boolean} invited True when the viewer has an invite to the event.
+ * @return {boolean} True when the event is visible.
+ */
+function isEventVisibleTo(eventData, userId, friendIds, invited) {
+  return eventData.isPublic === true ||
+    eventData.hostId === userId ||
+    (Array.isArray(eventData.attendeeIds) &&
+      eventData.attendeeIds.includes(userId)) ||
+    friendIds.has(eventData.hostId) ||
+    invited;
+}
+
+/**
+ * Lists the users who count a user as a friend. Their private events are
+ * visible to the user, as in canViewEvent and the events read rule.
+ * @param {string} userId UID of the viewer.
+ * @return {Promise<Set<string>>} UIDs whose friends list includes userId.
+ */
+async function befriendingUserIdsFor(userId) {
+  const snapshot = await admin.firestore()
+      .collection("users")
+      .where("friends", "array-contains", userId)
+      .get();
+  return new Set(snapshot.docs.map((doc) => doc.id));
+}
+
+/**
+ * Narrows a user's friends list to mutual friends. Users can edit their own
+ * list, so an entry only counts when the friend's list names the user too.
+ * @param {string} userId UID of the user.
+ * @param {Array<string>} friendIds The user's own friends list.
+ * @return {Promise<Set<string>>} Friends whose list includes userId.
+ */
+async function mutualFriendIdsFor(userId, friendIds) {
+  const befriendingIds = await befriendingUserIdsFor(userId);
+  return new Set(friendIds.filter((id) => befriendingIds.has(id)));
+}
+
+/**
+ * Lists the events a user has been invited to.
+ * @param {string} userId UID of the invitee.
+ * @return {Promise<Set<string>>} Event IDs with an invite for the user.
+ */
+async function invitedEventIdsFor(userId) {
+  const snapshot = await admin.firestore()
+      .collectionGroup("invites")
+      .where("userId", "==", userId)
+      .get();
+  return new Set(snapshot.docs.map((doc) => doc.data().eventId));
+}
+
+/**
+ * Checks whether a user may see one event, reading the host's friend list
+ * and the user's invite only when the event itself does not settle it.
+ * @param {?string} eventId Event document ID, or null for an event series,
+ *   which has no invites.
+ * @param {object} eventData Event (or event series) document data.
+ * @param {string} userId UID of the viewer.
+ * @return {Promise<boolean>} True when the event is visible.
+ */
+async function canViewEvent(eventId, eventData, userId) {
+  if (isEventVisibleTo(eventData, userId, new Set(), false)) {
+    return true;
+  }
+
+  const db = admin.firestore();
+  const [hostDoc, inviteDoc] = await Promise.all([
+    db.collection("users").doc(eventData.hostId || "-").get(),
+    eventId ? db.collection("events").doc(eventId)
+        .collection("invites").doc(userId).get() : null,
+  ]);
+  const hostFriends = hostDoc.exists &&
+    Array.isArray(hostDoc.data().friends) ? hostDoc.data().friends : [];
+  return hostFriends.includes(userId) || Boolean(inviteDoc && inviteDoc.exists);
+}
+
+/**
+ * Commits Firestore writes in as many batches as the batch limit requires.
+ * @param {Array<function(FirebaseFirestore.WriteBatch): void>} writes
+ *   Callbacks that each add one write to the batch they are given.
+ * @return {Promise<void>} Resolves when every batch has committed.
+ */
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = admin.firestore().batch();
+    writes.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((write) => {
+      write(batch);
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Removes everything TrailMates stores for a user. Every step queries by UID
+ * rather than trusting the user document, so a partially completed run can be
+ * repeated safely and finishes whatever is left.
+ * @param {string} userId UID of the account being deleted.
+ * @return {Promise<object>} Counts of what was removed or changed.
+ */
+async function deleteUserData(userId) {
+  const db = admin.firestore();
+  const {FieldValue} = admin.firestore;
+  const usersRef = db.collection("users");
+  const eventsRef = db.collection("events");
+
+  // 1. Friend arrays. Querying catches one-sided entries the user doc lacks.
+  const friendsSnapshot = await usersRef
+      .where("friends", "array-contains", userId)
+      .get();
+  const friendIds = friendsSnapshot.docs
+      .map((doc) => doc.id)
+      .filter((id) => id !== userId);
+  await commitInBatches(friendsSnapshot.docs.map((doc) => (batch) => {
+    batch.update(doc.ref, {friends: FieldValue.arrayRemove(userId)});
+  }));
+
+  // 2. Hosted events: upcoming events with other attendees go to the first
+  // remaining attendee, everything else is deleted.
+  const hostedSnapshot = await eventsRef.where("hostId", "==", userId).get();
+  const eventWrites = [];
+  let eventsDeleted = 0;
+  let eventsReassigned = 0;
+  hostedSnapshot.forEach((doc) => {
+    const eventData = doc.data() || {};
+    const remainingAttendees = (Array.isArray(eventData.attendeeIds) ?
+      eventData.attendeeIds : []).filter((id) => id !== userId);
+
+    if (eventData.status === "upcoming" && remainingAttendees.length > 0) {
+      eventsReassigned++;
+      eventWrites.push((batch) => batch.update(doc.ref, {
+        hostId: remainingAttendees[0],
+        attendeeIds: remainingAttendees,
+      }));
+    } else {
+      eventsDeleted++;
+      eventWrites.push((batch) => batch.delete(doc.ref));
+    }
+  });
+
+  // 3. Attendance on everyone else's events.
+  const attendingSnapshot = await eventsRef
+      .where("attendeeIds", "array-contains", userId)
+      .get();
+  let eventsLeft = 0;
+  attendingSnapshot.forEach((doc) => {
+    if ((doc.data() || {}).hostId === userId) {
+      return;
+    }
+    eventsLeft++;
+    eventWrites.push((batch) => batch.update(doc.ref, {
+      attendeeIds: FieldValue.arrayRemove(userId),
+    }));
+  });
+  const waitlistSnapshot = await db.collectionGroup("waitlist")
+      .where("userId", "==", userId)
+      .get();
+  const invitesSnapshot = await db.collectionGroup("invites")
+      .where("userId", "==", userId)
+      .get();
+  [...waitlistSnapshot.docs, ...invitesSnapshot.docs].forEach((doc) => {
+    eventWrites.push((batch) => batch.delete(doc.ref));
+  });
+
+  // Event series: hosted ones stop (their occurrences were handled above),
+  // subscriptions to everyone else's are dropped.
+  const seriesRef = db.collection("eventSeries");
+  const [hostedSeriesSnapshot, subscribedSeriesSnapshot] = await Promise.all([
+    seriesRef.where("hostId", "==", userId).get(),
+    seriesRef.where("subscriberIds", "array-contains", userId).get(),
+  ]);
+  hostedSeriesSnapshot.forEach((doc) => {
+    eventWrites.push((batch) => batch.delete(doc.ref));
+  });
+  subscribedSeriesSnapshot.forEach((doc) => {
+    eventWrites.push((batch) => batch.update(doc.ref, {
+      subscriberIds: FieldValue.arrayRemove(userId),
+    }));
+  });
+  await commitInBatches(eventWrites);
+
+  // 4. Realtime Database, including the far side of friend and block edges
+  // and of friend requests in either direction.
+  const [
+    blockingSnapshot,
+    blockedBySnapshot,
+    sentRequestsSnapshot,
+    receivedRequestsSnapshot,
+  ] = await Promise.all([
+    admin.database().ref(`blocks/${userId}`).get(),
+    admin.database().ref(`blocked_by/${userId}`).get(),
+    admin.database().ref(`sent_friend_requests/${userId}`).get(),
+    admin.database().ref(`friend_requests/${userId}`).get(),
+  ]);
+  const rtdbUpdates = {};
+  [
+    `friends/${userId}`,
+    `locations/${userId}`,
+    `trail_presence/${userId}`,
+    `location_history/${userId}`,
+    `locationReaders/${userId}`,
+    `friend_requests/${userId}`,
+    `sent_friend_requests/${userId}`,
+    `notifications/${userId}`,
+    `device_tokens/${userId}`,
+    `friend_request_history/${userId}`,
+    `blocks/${userId}`,
+    `blocked_by/${userId}`,
+  ].forEach((path) => {
+    rtdbUpdates[path] = null;
+  });
+  friendIds.forEach((friendId) => {
+    rtdbUpdates[`friends/${friendId}/${userId}`] = null;
+  });
+  blockingSnapshot.forEach((child) => {
+    rtdbUpdates[`blocked_by/${child.key}/${userId}`] = null;
+  });
+  blockedBySnapshot.forEach((child) => {
+    rtdbUpdates[`blocks/${child.key}/${userId}`] = null;
+  });
+  sentRequestsSnapshot.forEach((child) => {
+    const toUserId = child.val();
+    rtdbUpdates[`friend_requests/${toUserId}/${child.key}`] = null;
+    rtdbUpdates[`notifications/${toUserId}/${child.key}`] = null;
+  });
+  receivedRequestsSnapshot.forEach((child) => {
+    const fromUserId = child.child("fromUserId").val();
+    if (fromUserId) {
+      rtdbUpdates[`sent_friend_requests/${fromUserId}/${child.key}`] = null;
+    }
+  });
+  await admin.database().ref().update(rtdbUpdates);
+
+  // 5. Profile images and data exports.
+  const bucket = admin.storage().bucket();
+  const fileLists = await Promise.all([
+    bucket.getFiles({prefix: `profile_images/${userId}/`}),
+    bucket.getFiles({prefix: `exports/${userId}/`}),
+  ]);
+  const files = fileLists.flatMap(([listed]) => listed);
+  await Promise.all(files.map((file) => file.delete({ignoreNotFound: true})));
+
+  // 6. Landmark check-ins, badges, leaderboard activity, location share
+  // links and the calendar feed token, then the user document last so an
+  // interrupted run can find it again.
+  const ownedCollections = ["landmarkCheckIns", "badgeAwards",
+    "activityEntries", "locationShares"];
+  const ownedSnapshots = await Promise.all(ownedCollections.map((name) =>
+    db.collection(name).where("userId", "==", userId).get()));
+  await commitInBatches(ownedSnapshots
+      .flatMap((snapshot) => snapshot.docs)
+      .map((doc) => (batch) => {
+        batch.delete(doc.ref);
+      }));
+  await db.collection("calendarFeeds").doc(userId).delete();
+  const userRef = usersRef.doc(userId);
+  const userDoc = await userRef.get();
+  if (userDoc.exists) {
+    await userRef.delete();
+  }
+
+  return {
+    friendsUpdated: friendIds.length,
+    eventsDeleted,
+    eventsReassigned,
+    eventsLeft,
+    eventSeriesDeleted: hostedSeriesSnapshot.size,
+    rtdbPathsCleared: Object.keys(rtdbUpdates).length,
+    storageFilesDeleted: files.length,
+    userDocumentDeleted: userDoc.exists,
+  };
+}
+
 // Cloud Function: findUsersByPhoneNumbers
 exports.findUsersByPhoneNumbers = onCall(
     {region: "us-central1", maxInstances: 3, enforceAppCheck: true},
@@ -170,6 +1055,7 @@ exports.findUsersByPhoneNumbers = onCall(
         const chunkSize = 10;
         const matchedUsers = [];
         const matchedUserIds = new Set();
+        const blockedUserIds = await blockedUserIdsFor(request.auth.uid);
 
         for (let i = 0; i < uniqueHashes.length; i += chunkSize) {
           const batch = uniqueHashes.slice(i, i + chunkSize);
@@ -178,7 +1064,7 @@ exports.findUsersByPhoneNumbers = onCall(
               .get();
 
           snapshot.forEach((doc) => {
-            if (matchedUserIds.has(doc.id)) {
+            if (matchedUserIds.has(doc.id) || blockedUserIds.has(doc.id)) {
               return;
             }
 
@@ -222,9 +1108,11 @@ exports.searchUsers = onCall(
       const usersRef = admin.firestore().collection("users");
       const matchedUsers = [];
       const matchedUserIds = new Set();
+      const blockedUserIds = await blockedUserIdsFor(request.auth.uid);
 
       const addDoc = (doc) => {
-        if (!doc || !doc.exists || matchedUserIds.has(doc.id)) {
+        if (!doc || !doc.exists || matchedUserIds.has(doc.id) ||
+            blockedUserIds.has(doc.id)) {
           return;
         }
         matchedUserIds.add(doc.id);
@@ -534,30 +1422,172 @@ exports.ensureUserDocument = onCall(
     },
 );
 
-// Cloud Function: acceptFriendRequest
-exports.acceptFriendRequest = functions.https.onCall(async (data, context) => {
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "The function must be called while authenticated.",
-    );
-  }
-
-  const {requestId} = data || {};
-  if (!requestId) {
-    throw new functions.https.HttpsError(
-        "invalid-argument",
-        "requestId is required.",
-    );
-  }
+// Cloud Function: sendFriendRequest
+//
+// Clients can no longer write into another user's request inbox. This callable
+// validates the request server-side and, if the recipient already asked the
+// caller, accepts that request instead of creating a second one.
+exports.sendFriendRequest = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
 
-  const userId = context.auth.uid;
-  const requestRef = admin.database()
-      .ref(`friend_requests/${userId}/${requestId}`);
-  const snapshot = await requestRef.get();
+      const {toUserId} = request.data || {};
+      if (!toUserId || typeof toUserId !== "string") {
+        throw new HttpsError("invalid-argument", "toUserId is required.");
+      }
 
-  if (!snapshot.exists()) {
-    throw new functions.https.HttpsError(
+      const userId = request.auth.uid;
+      if (toUserId === userId) {
+        throw new HttpsError(
+            "failed-precondition",
+            "Cannot friend yourself.",
+        );
+      }
+
+      try {
+        const usersRef = admin.firestore().collection("users");
+        const [senderDoc, recipientDoc] = await Promise.all([
+          usersRef.doc(userId).get(),
+          usersRef.doc(toUserId).get(),
+        ]);
+
+        if (!senderDoc.exists || !recipientDoc.exists) {
+          throw new HttpsError("not-found", "User not found.");
+        }
+
+        const senderData = senderDoc.data() || {};
+        const recipientData = recipientDoc.data() || {};
+        const senderFriends = Array.isArray(senderData.friends) ?
+          senderData.friends : [];
+
+        if (senderFriends.includes(toUserId)) {
+          throw new HttpsError("already-exists", "Already friends.");
+        }
+
+        // Blocks are reported like a disabled inbox so the sender cannot tell
+        // they were blocked.
+        if (await isBlockedBetween(userId, toUserId)) {
+          throw new HttpsError(
+              "failed-precondition",
+              "This user is not accepting friend requests.",
+          );
+        }
+
+        // A pending request in the other direction means both users want the
+        // friendship, so accept it rather than leaving two crossed requests.
+        const reverseRequestId =
+          await findPendingFriendRequest(userId, toUserId);
+        if (reverseRequestId) {
+          await updateFriendArrays(userId, toUserId, true);
+
+          const updates = {};
+          updates[`friend_requests/${userId}/${reverseRequestId}`] = null;
+          updates[`sent_friend_requests/${toUserId}/${reverseRequestId}`] =
+              null;
+          updates[`notifications/${userId}/${reverseRequestId}`] = null;
+          recordFriendRequestOutcome(updates, {
+            requestId: reverseRequestId,
+            toUserId: userId,
+            fromUserId: toUserId,
+            status: "accepted",
+            actorId: userId,
+          });
+          addFriendAcceptedNotification(updates, senderDoc, toUserId);
+          await admin.database().ref().update(updates);
+
+          return {success: true, status: "accepted", friendId: toUserId};
+        }
+
+        if (recipientData.receiveFriendRequests === false) {
+          throw new HttpsError(
+              "failed-precondition",
+              "This user is not accepting friend requests.",
+          );
+        }
+
+        const existingRequestId =
+          await findPendingFriendRequest(toUserId, userId);
+        if (existingRequestId) {
+          throw new HttpsError(
+              "already-exists",
+              "Friend request already sent.",
+          );
+        }
+
+        const lastDeclinedAt =
+          await lastFriendRequestDeclineTime(toUserId, userId);
+        if (lastDeclinedAt !== null &&
+            Date.now() - lastDeclinedAt < FRIEND_REQUEST_DECLINE_COOLDOWN_MS) {
+          throw new HttpsError(
+              "resource-exhausted",
+              "Please wait before sending this user another friend request.",
+          );
+        }
+
+        const requestId = admin.database()
+            .ref(`friend_requests/${toUserId}`)
+            .push().key;
+        const senderName =
+          notificationDisplayName(publicUserPayload(senderDoc));
+
+        // The notification shares the request ID so accepting or declining
+        // can clear both in one update. `sent_friend_requests` indexes the
+        // request by sender, so deleting the sender's account can find it.
+        const updates = {};
+        updates[`friend_requests/${toUserId}/${requestId}`] = {
+          fromUserId: userId,
+          timestamp: Date.now(),
+          status: "pending",
+        };
+        updates[`sent_friend_requests/${userId}/${requestId}`] = toUserId;
+        updates[`notifications/${toUserId}/${requestId}`] = buildNotification(
+            "friendRequest",
+            userId,
+            `${senderName} wants to be your friend!`,
+        );
+        await admin.database().ref().update(updates);
+
+        return {success: true, status: "pending", requestId};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error sending friend request:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: acceptFriendRequest
+exports.acceptFriendRequest = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "The function must be called while authenticated.",
+    );
+  }
+
+  const {requestId} = data || {};
+  if (!requestId) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "requestId is required.",
+    );
+  }
+
+  const userId = context.auth.uid;
+  const requestRef = admin.database()
+      .ref(`friend_requests/${userId}/${requestId}`);
+  const snapshot = await requestRef.get();
+
+  if (!snapshot.exists()) {
+    throw new functions.https.HttpsError(
         "not-found",
         "Friend request not found.",
     );
@@ -579,20 +1609,158 @@ exports.acceptFriendRequest = functions.https.onCall(async (data, context) => {
   }
 
   try {
+    // Requests from deleted accounts stay behind in the recipient's inbox;
+    // clear them instead of failing the transaction.
+    const senderDoc = await admin.firestore()
+        .collection("users")
+        .doc(fromUserId)
+        .get();
+    if (!senderDoc.exists) {
+      const updates = {};
+      updates[`friend_requests/${userId}/${requestId}`] = null;
+      updates[`sent_friend_requests/${fromUserId}/${requestId}`] = null;
+      updates[`notifications/${userId}/${requestId}`] = null;
+      await admin.database().ref().update(updates);
+      throw new functions.https.HttpsError(
+          "not-found",
+          "This user no longer has an account.",
+      );
+    }
+
     await updateFriendArrays(userId, fromUserId, true);
 
+    const accepterDoc = await admin.firestore()
+        .collection("users")
+        .doc(userId)
+        .get();
+
     const updates = {};
     updates[`friend_requests/${userId}/${requestId}`] = null;
+    updates[`sent_friend_requests/${fromUserId}/${requestId}`] = null;
     updates[`notifications/${userId}/${requestId}`] = null;
+    recordFriendRequestOutcome(updates, {
+      requestId,
+      toUserId: userId,
+      fromUserId,
+      status: "accepted",
+      actorId: userId,
+    });
+    addFriendAcceptedNotification(updates, accepterDoc, fromUserId);
     await admin.database().ref().update(updates);
 
     return {success: true, friendId: fromUserId};
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     console.error("Error accepting friend request:", error);
     throw new functions.https.HttpsError("internal", error.message);
   }
 });
 
+// Cloud Function: declineFriendRequest
+exports.declineFriendRequest = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {requestId} = request.data || {};
+      if (!requestId || typeof requestId !== "string") {
+        throw new HttpsError("invalid-argument", "requestId is required.");
+      }
+
+      const userId = request.auth.uid;
+      const snapshot = await admin.database()
+          .ref(`friend_requests/${userId}/${requestId}`)
+          .get();
+
+      if (!snapshot.exists()) {
+        throw new HttpsError("not-found", "Friend request not found.");
+      }
+
+      const fromUserId = snapshot.child("fromUserId").val();
+      if (!fromUserId || typeof fromUserId !== "string") {
+        throw new HttpsError(
+            "invalid-argument",
+            "Invalid friend request payload.",
+        );
+      }
+
+      try {
+        const updates = {};
+        updates[`friend_requests/${userId}/${requestId}`] = null;
+        updates[`sent_friend_requests/${fromUserId}/${requestId}`] = null;
+        updates[`notifications/${userId}/${requestId}`] = null;
+        recordFriendRequestOutcome(updates, {
+          requestId,
+          toUserId: userId,
+          fromUserId,
+          status: "rejected",
+          actorId: userId,
+        });
+        await admin.database().ref().update(updates);
+
+        return {success: true};
+      } catch (error) {
+        console.error("Error declining friend request:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: cancelFriendRequest
+exports.cancelFriendRequest = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {toUserId} = request.data || {};
+      if (!toUserId || typeof toUserId !== "string") {
+        throw new HttpsError("invalid-argument", "toUserId is required.");
+      }
+
+      const userId = request.auth.uid;
+
+      try {
+        const requestId = await findPendingFriendRequest(toUserId, userId);
+        if (!requestId) {
+          throw new HttpsError("not-found", "Friend request not found.");
+        }
+
+        const updates = {};
+        updates[`friend_requests/${toUserId}/${requestId}`] = null;
+        updates[`sent_friend_requests/${userId}/${requestId}`] = null;
+        updates[`notifications/${toUserId}/${requestId}`] = null;
+        recordFriendRequestOutcome(updates, {
+          requestId,
+          toUserId,
+          fromUserId: userId,
+          status: "canceled",
+          actorId: userId,
+        });
+        await admin.database().ref().update(updates);
+
+        return {success: true, requestId};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error canceling friend request:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
 // Cloud Function: removeFriend
 exports.removeFriend = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
@@ -627,87 +1795,3726 @@ exports.removeFriend = functions.https.onCall(async (data, context) => {
   }
 });
 
-// Cloud Function: migratePhoneNumbers
-exports.migratePhoneNumbers = functions.https.onCall(async (data, context) => {
-  // Only allow admin users to run this migration
-  if (!context.auth || !context.auth.token || !context.auth.token.admin) {
-    throw new functions.https.HttpsError(
-        "permission-denied",
-        "Only admin users can run this migration.",
-    );
-  }
+// Cloud Function: blockUser
+//
+// Blocking removes the friendship, clears pending requests and notifications
+// between the two users, and hides each from the other in lookups. The block
+// entries are written before the friend arrays change so syncFriendsToRTDB
+// already sees them.
+exports.blockUser = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
 
-  try {
-    const batch = admin.firestore().batch();
-    const usersRef = admin.firestore().collection("users");
-    const snapshot = await usersRef.get();
-    let updatedCount = 0;
+      const {userId: blockedUserId} = request.data || {};
+      if (!blockedUserId || typeof blockedUserId !== "string") {
+        throw new HttpsError("invalid-argument", "userId is required.");
+      }
 
-    console.log("Starting phone number migration...");
+      const userId = request.auth.uid;
+      if (blockedUserId === userId) {
+        throw new HttpsError(
+            "failed-precondition",
+            "Cannot block yourself.",
+        );
+      }
 
-    snapshot.forEach((doc) => {
-      const userData = doc.data();
-      if (userData.phoneNumber && !userData.hashedPhoneNumber) {
-        // Hash the phone number using the same algorithm as the client
-        const hashedPhoneNumber = hashPhoneNumberE164(userData.phoneNumber);
+      try {
+        const usersRef = admin.firestore().collection("users");
+        const blockedDoc = await usersRef.doc(blockedUserId).get();
+        if (!blockedDoc.exists) {
+          throw new HttpsError("not-found", "User not found.");
+        }
 
-        batch.update(doc.ref, {hashedPhoneNumber});
-        updatedCount++;
-      }
-    });
+        const [incomingRequests, outgoingRequests, notifications] =
+          await Promise.all([
+            admin.database().ref(`friend_requests/${userId}`)
+                .orderByChild("fromUserId").equalTo(blockedUserId).get(),
+            admin.database().ref(`friend_requests/${blockedUserId}`)
+                .orderByChild("fromUserId").equalTo(userId).get(),
+            admin.database().ref(`notifications/${userId}`)
+                .orderByChild("fromUserId").equalTo(blockedUserId).get(),
+          ]);
 
-    if (updatedCount > 0) {
-      await batch.commit();
-      console.log(`Successfully migrated ${updatedCount} users`);
-    } else {
-      console.log("No users needed migration");
-    }
+        const now = Date.now();
+        const updates = {};
+        updates[`blocks/${userId}/${blockedUserId}`] = now;
+        updates[`blocked_by/${blockedUserId}/${userId}`] = now;
+        updates[`friends/${userId}/${blockedUserId}`] = null;
+        updates[`friends/${blockedUserId}/${userId}`] = null;
+        incomingRequests.forEach((child) => {
+          updates[`friend_requests/${userId}/${child.key}`] = null;
+          updates[`sent_friend_requests/${blockedUserId}/${child.key}`] = null;
+        });
+        outgoingRequests.forEach((child) => {
+          updates[`friend_requests/${blockedUserId}/${child.key}`] = null;
+          updates[`sent_friend_requests/${userId}/${child.key}`] = null;
+          updates[`notifications/${blockedUserId}/${child.key}`] = null;
+        });
+        notifications.forEach((child) => {
+          updates[`notifications/${userId}/${child.key}`] = null;
+        });
+        await admin.database().ref().update(updates);
 
-    return {migratedCount: updatedCount};
-  } catch (error) {
-    console.error("Error during migration:", error);
-    throw new functions.https.HttpsError("internal", error.message);
-  }
-});
+        await updateFriendArrays(userId, blockedUserId, false);
 
-// Firestore trigger: sync friends list to RTDB for privacy checks
-exports.syncFriendsToRTDB = functions.firestore
-    .document("users/{userId}")
-    .onWrite(async (change, context) => {
-      const userId = context.params.userId;
-      const beforeData = change.before.exists ? change.before.data() : null;
-      const afterData = change.after.exists ? change.after.data() : null;
+        return {success: true};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error blocking user:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
 
-      let beforeFriendsList = [];
-      if (beforeData && Array.isArray(beforeData.friends)) {
-        beforeFriendsList = beforeData.friends;
+// Cloud Function: unblockUser
+exports.unblockUser = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
       }
-      let afterFriendsList = [];
-      if (afterData && Array.isArray(afterData.friends)) {
-        afterFriendsList = afterData.friends;
+
+      const {userId: blockedUserId} = request.data || {};
+      if (!blockedUserId || typeof blockedUserId !== "string") {
+        throw new HttpsError("invalid-argument", "userId is required.");
       }
 
-      const beforeFriends = new Set(beforeFriendsList);
-      const afterFriends = new Set(afterFriendsList);
+      const userId = request.auth.uid;
 
-      const updates = {};
+      try {
+        // Unblocking does not restore the friendship; either user can send a
+        // new request afterwards.
+        const updates = {};
+        updates[`blocks/${userId}/${blockedUserId}`] = null;
+        updates[`blocked_by/${blockedUserId}/${userId}`] = null;
+        await admin.database().ref().update(updates);
 
-      for (const friendId of afterFriends) {
-        if (!beforeFriends.has(friendId)) {
-          updates[`friends/${userId}/${friendId}`] = true;
-        }
+        return {success: true};
+      } catch (error) {
+        console.error("Error unblocking user:", error);
+        throw new HttpsError("internal", error.message);
       }
+    },
+);
 
-      for (const friendId of beforeFriends) {
-        if (!afterFriends.has(friendId)) {
-          updates[`friends/${userId}/${friendId}`] = null;
-        }
+// Cloud Function: listBlockedUsers
+exports.listBlockedUsers = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
       }
 
-      if (Object.keys(updates).length === 0) {
-        return null;
+      const userId = request.auth.uid;
+
+      try {
+        const snapshot = await admin.database().ref(`blocks/${userId}`).get();
+        const blockedAt = {};
+        snapshot.forEach((child) => {
+          blockedAt[child.key] = child.val();
+        });
+
+        const usersRef = admin.firestore().collection("users");
+        const docs = await Promise.all(
+            Object.keys(blockedAt).map((id) => usersRef.doc(id).get()),
+        );
+
+        const users = docs
+            .filter((doc) => doc.exists)
+            .map((doc) => ({
+              ...publicUserPayload(doc),
+              blockedAt: new Date(blockedAt[doc.id]).toISOString(),
+            }));
+
+        return {users};
+      } catch (error) {
+        console.error("Error listing blocked users:", error);
+        throw new HttpsError("internal", error.message);
       }
+    },
+);
 
-      await admin.database().ref().update(updates);
+// Cloud Function: deleteAccount
+//
+// Removes the caller's data and then their Auth account. Deleting the Auth
+// account fires cleanupDeletedUser, which repeats the (now empty) cascade.
+exports.deleteAccount = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const authTime = request.auth.token && request.auth.token.auth_time;
+      const authAge = Math.floor(Date.now() / 1000) - authTime;
+      if (!authTime || authAge > ACCOUNT_DELETION_MAX_AUTH_AGE_S) {
+        throw new HttpsError(
+            "failed-precondition",
+            "Please sign in again before deleting your account.",
+        );
+      }
+
+      const userId = request.auth.uid;
+
+      try {
+        const removed = await deleteUserData(userId);
+        await admin.auth().deleteUser(userId);
+        console.log(`Deleted account ${userId}:`, removed);
+        return {success: true, removed};
+      } catch (error) {
+        console.error("Error deleting account:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Auth trigger: clean up data for accounts deleted outside deleteAccount
+exports.cleanupDeletedUser = functions.auth.user().onDelete(async (user) => {
+  const removed = await deleteUserData(user.uid);
+  console.log(`Cleaned up deleted user ${user.uid}:`, removed);
+  return null;
+});
+
+// Cloud Function: exportMyData
+//
+// Writes everything TrailMates stores about the caller to a single JSON file
+// under `exports/{uid}/` (not readable through Storage rules) and returns a
+// short-lived signed URL for it. Older exports are replaced.
+exports.exportMyData = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const userId = request.auth.uid;
+      const db = admin.firestore();
+
+      try {
+        const userDoc = await db.collection("users").doc(userId).get();
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User document not found.");
+        }
+        const profile = exportUserPayload(userDoc);
+        const friendIds = Array.isArray(userDoc.data().friends) ?
+          userDoc.data().friends : [];
+
+        const [
+          friendDocs,
+          landmarkDocs,
+          hostedSnapshot,
+          attendingSnapshot,
+          notificationsSnapshot,
+          requestsSnapshot,
+          locationSnapshot,
+          checkInsSnapshot,
+          badgeAwardsSnapshot,
+        ] = await Promise.all([
+          Promise.all(friendIds.map(
+              (id) => db.collection("users").doc(id).get(),
+          )),
+          Promise.all(profile.visitedLandmarkIds.map(
+              (id) => db.collection("landmarks").doc(id).get(),
+          )),
+          db.collection("events").where("hostId", "==", userId).get(),
+          db.collection("events")
+              .where("attendeeIds", "array-contains", userId).get(),
+          admin.database().ref(`notifications/${userId}`).get(),
+          admin.database().ref(`friend_requests/${userId}`).get(),
+          admin.database().ref(`locations/${userId}`).get(),
+          db.collection("landmarkCheckIns")
+              .where("userId", "==", userId).get(),
+          db.collection("badgeAwards").where("userId", "==", userId).get(),
+        ]);
+
+        const notifications = [];
+        notificationsSnapshot.forEach((child) => {
+          const value = child.val() || {};
+          notifications.push({
+            id: child.key,
+            type: value.type || null,
+            fromUserId: value.fromUserId || null,
+            content: value.content || "",
+            relatedEventId: value.relatedEventId || null,
+            timestamp: toISOStringOrNull(value.timestamp),
+            read: value.read === true,
+          });
+        });
+
+        const friendRequests = [];
+        requestsSnapshot.forEach((child) => {
+          const value = child.val() || {};
+          friendRequests.push({
+            id: child.key,
+            fromUserId: value.fromUserId || null,
+            status: value.status || null,
+            timestamp: toISOStringOrNull(value.timestamp),
+          });
+        });
+
+        const location = locationSnapshot.val();
+        const archive = {
+          format: "trailmates-export",
+          version: DATA_EXPORT_FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          userId,
+          profile,
+          friends: friendDocs
+              .filter((doc) => doc.exists)
+              .map(publicUserPayload),
+          events: {
+            hosted: hostedSnapshot.docs.map(exportEventPayload),
+            attending: attendingSnapshot.docs
+                .filter((doc) => (doc.data() || {}).hostId !== userId)
+                .map(exportEventPayload),
+          },
+          visitedLandmarks: landmarkDocs
+              .filter((doc) => doc.exists)
+              .map((doc) => ({
+                id: doc.id,
+                name: doc.data().name || "",
+                category: doc.data().category || null,
+                latitude: doc.data().latitude,
+                longitude: doc.data().longitude,
+              })),
+          landmarkCheckIns: checkInsSnapshot.docs.map((doc) => ({
+            id: doc.id,
+            landmarkId: doc.data().landmarkId,
+            checkedInAt: toISOStringOrNull(doc.data().checkedInAt),
+            distanceMeters: doc.data().distanceMeters,
+          })),
+          badges: badgeAwardsSnapshot.docs.map((doc) => ({
+            badgeId: doc.data().badgeId,
+            name: doc.data().name || "",
+            awardedAt: toISOStringOrNull(doc.data().awardedAt),
+          })),
+          notifications,
+          friendRequests,
+          lastLocation: location ? {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            lastUpdated: toISOStringOrNull(location.lastUpdated),
+          } : null,
+        };
+
+        const bucket = admin.storage().bucket();
+        const [previousExports] =
+          await bucket.getFiles({prefix: `exports/${userId}/`});
+        await Promise.all(previousExports.map(
+            (file) => file.delete({ignoreNotFound: true}),
+        ));
+
+        const path = `exports/${userId}/trailmates-export-${Date.now()}.json`;
+        const file = bucket.file(path);
+        await file.save(JSON.stringify(archive, null, 2), {
+          contentType: "application/json",
+          resumable: false,
+        });
+
+        const expiresAt = Date.now() + DATA_EXPORT_URL_TTL_MS;
+        const [url] = await file.getSignedUrl({
+          action: "read",
+          expires: expiresAt,
+        });
+
+        return {url, path, expiresAt: new Date(expiresAt).toISOString()};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error exporting user data:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: rotateCalendarFeedToken
+//
+// Issues a new secret token for the caller's calendar feed and returns the
+// subscription URL. Only a hash of the token is stored, so the URL is shown
+// once; rotating again invalidates the previous URL.
+exports.rotateCalendarFeedToken = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      try {
+        const token = crypto.randomBytes(CALENDAR_FEED_TOKEN_BYTES)
+            .toString("base64url");
+        await admin.firestore()
+            .collection("calendarFeeds")
+            .doc(request.auth.uid)
+            .set({
+              tokenHash: tokenHash(token),
+              rotatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+        const projectId = process.env.GCLOUD_PROJECT;
+        return {
+          url: `https://us-central1-${projectId}.cloudfunctions.net/` +
+            `calendarFeed?token=${token}`,
+        };
+      } catch (error) {
+        console.error("Error rotating calendar feed token:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// HTTPS endpoint: calendarFeed
+//
+// Serves an iCalendar feed of the events the token's owner hosts or attends,
+// for subscribing from Google or Apple Calendar. Calendar apps cannot sign
+// in, so the secret token in the URL is the only credential.
+exports.calendarFeed = onRequest(
+    {region: "us-central1", maxInstances: 3},
+    async (req, res) => {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.set("Allow", "GET, HEAD").status(405).send("Method Not Allowed");
+        return;
+      }
+
+      const token = typeof req.query.token === "string" ? req.query.token : "";
+      if (!token) {
+        res.status(404).send("Not Found");
+        return;
+      }
+
+      try {
+        const db = admin.firestore();
+        const feedSnapshot = await db.collection("calendarFeeds")
+            .where("tokenHash", "==", tokenHash(token))
+            .limit(1)
+            .get();
+        if (feedSnapshot.empty) {
+          res.status(404).send("Not Found");
+          return;
+        }
+        const userId = feedSnapshot.docs[0].id;
+
+        const eventsRef = db.collection("events");
+        const [hostedSnapshot, attendingSnapshot] = await Promise.all([
+          eventsRef.where("hostId", "==", userId).get(),
+          eventsRef.where("attendeeIds", "array-contains", userId).get(),
+        ]);
+
+        const now = new Date();
+        const cutoff = now.getTime() - CALENDAR_FEED_PAST_DAYS * 86400000;
+        const eventsById = new Map();
+        [...hostedSnapshot.docs, ...attendingSnapshot.docs].forEach((doc) => {
+          const eventData = doc.data() || {};
+          const start = toDateOrNull(eventData.dateTime);
+          if (!start || start.getTime() < cutoff) {
+            return;
+          }
+          eventsById.set(doc.id, {
+            id: doc.id,
+            title: eventData.title,
+            description: eventData.description,
+            locationName: eventData.locationName,
+            location: eventData.location,
+            start,
+            end: new Date(start.getTime() + eventDurationMs(eventData)),
+            canceled: eventData.status === "canceled",
+          });
+        });
+        const events = [...eventsById.values()]
+            .sort((a, b) => a.start - b.start);
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Cache-Control", "private, max-age=300");
+        res.status(200).send(buildCalendarFeed(events, now));
+      } catch (error) {
+        console.error("Error serving calendar feed:", error);
+        res.status(500).send("Internal Server Error");
+      }
+    },
+);
+
+// Cloud Function: createLocationShare
+//
+// Issues a link that shows the caller's live location to anyone who has it,
+// for family and friends without the app. Like calendar feeds, only a hash of
+// the token is stored, so the URLs are returned once.
+exports.createLocationShare = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {durationMinutes = LOCATION_SHARE_DEFAULT_MINUTES, label} =
+        request.data || {};
+      if (!Number.isInteger(durationMinutes) ||
+          durationMinutes < LOCATION_SHARE_MIN_MINUTES ||
+          durationMinutes > LOCATION_SHARE_MAX_MINUTES) {
+        throw new HttpsError(
+            "invalid-argument",
+            `durationMinutes must be a whole number from ` +
+              `${LOCATION_SHARE_MIN_MINUTES} to ${LOCATION_SHARE_MAX_MINUTES}.`,
+        );
+      }
+      if (label !== undefined && label !== null &&
+          (typeof label !== "string" ||
+            label.trim().length > LOCATION_SHARE_MAX_LABEL_LENGTH)) {
+        throw new HttpsError(
+            "invalid-argument",
+            `label must be text of at most ` +
+              `${LOCATION_SHARE_MAX_LABEL_LENGTH} characters.`,
+        );
+      }
+
+      const userId = request.auth.uid;
+      try {
+        const sharesRef = admin.firestore().collection("locationShares");
+        const now = new Date();
+        const existingSnapshot = await sharesRef
+            .where("userId", "==", userId)
+            .get();
+        const activeCount = existingSnapshot.docs.filter((doc) => {
+          const expiresAt = toDateOrNull((doc.data() || {}).expiresAt);
+          return expiresAt && expiresAt > now;
+        }).length;
+        if (activeCount >= LOCATION_SHARE_MAX_ACTIVE) {
+          throw new HttpsError(
+              "resource-exhausted",
+              `You can have at most ${LOCATION_SHARE_MAX_ACTIVE} active ` +
+                `share links. Revoke one to create another.`,
+          );
+        }
+
+        const token = crypto.randomBytes(LOCATION_SHARE_TOKEN_BYTES)
+            .toString("base64url");
+        const expiresAt = new Date(now.getTime() + durationMinutes * 60000);
+        const shareRef = sharesRef.doc();
+        await shareRef.set({
+          userId,
+          tokenHash: tokenHash(token),
+          label: label ? label.trim() : null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt,
+        });
+
+        const baseUrl = `https://us-central1-${process.env.GCLOUD_PROJECT}` +
+          `.cloudfunctions.net`;
+        return {
+          shareId: shareRef.id,
+          url: `${baseUrl}/locationShareMap?token=${token}`,
+          dataUrl: `${baseUrl}/locationShare?token=${token}`,
+          expiresAt: expiresAt.toISOString(),
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error creating location share:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: listLocationShares
+exports.listLocationShares = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      try {
+        const snapshot = await admin.firestore()
+            .collection("locationShares")
+            .where("userId", "==", request.auth.uid)
+            .get();
+        const now = new Date();
+        const shares = snapshot.docs
+            .filter((doc) => {
+              const expiresAt = toDateOrNull((doc.data() || {}).expiresAt);
+              return expiresAt && expiresAt > now;
+            })
+            .map(locationSharePayload)
+            .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+        return {shares};
+      } catch (error) {
+        console.error("Error listing location shares:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: revokeLocationShare
+exports.revokeLocationShare = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {shareId} = request.data || {};
+      if (!shareId || typeof shareId !== "string" || shareId.includes("/")) {
+        throw new HttpsError("invalid-argument", "shareId is required.");
+      }
+
+      try {
+        const shareRef = admin.firestore()
+            .collection("locationShares")
+            .doc(shareId);
+        const shareDoc = await shareRef.get();
+        if (!shareDoc.exists ||
+            (shareDoc.data() || {}).userId !== request.auth.uid) {
+          throw new HttpsError("not-found", "Share link not found.");
+        }
+
+        await shareRef.delete();
+        return {success: true};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error revoking location share:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// HTTPS endpoint: locationShare
+//
+// Resolves a share token to the sharer's live location as JSON, including
+// whether it is on the trail. Unknown tokens are 404 and expired ones 410.
+exports.locationShare = onRequest(
+    {region: "us-central1", maxInstances: 3},
+    async (req, res) => {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.set("Allow", "GET, HEAD").status(405).send("Method Not Allowed");
+        return;
+      }
+      if (!allowLocationShareRequest(req, "locationShare")) {
+        res.set("Retry-After", String(LOCATION_SHARE_RATE_LIMIT_WINDOW_MS /
+          1000)).status(429).send("Too Many Requests");
+        return;
+      }
+
+      const token = typeof req.query.token === "string" ? req.query.token : "";
+      if (!token) {
+        res.status(404).send("Not Found");
+        return;
+      }
+
+      try {
+        const db = admin.firestore();
+        const shareSnapshot = await db.collection("locationShares")
+            .where("tokenHash", "==", tokenHash(token))
+            .limit(1)
+            .get();
+        if (shareSnapshot.empty) {
+          res.status(404).send("Not Found");
+          return;
+        }
+        const share = shareSnapshot.docs[0].data() || {};
+        const expiresAt = toDateOrNull(share.expiresAt);
+        if (!expiresAt || expiresAt <= new Date()) {
+          res.status(410).send("Gone");
+          return;
+        }
+
+        const [userDoc, locationSnapshot] = await Promise.all([
+          db.collection("users").doc(share.userId).get(),
+          admin.database().ref(`locations/${share.userId}`).get(),
+        ]);
+        const location = locationSnapshot.val();
+        const point = isValidPoint(location) &&
+          Number.isFinite(location.timestamp) ? location : null;
+
+        res.set("Cache-Control", "no-store");
+        res.status(200).json({
+          name: userDoc.exists ? (userDoc.data() || {}).firstName || null :
+            null,
+          expiresAt: expiresAt.toISOString(),
+          location: point ? {
+            latitude: point.latitude,
+            longitude: point.longitude,
+            updatedAt: new Date(point.timestamp).toISOString(),
+          } : null,
+          onTrail: Boolean(point) && isOnTrail(point),
+        });
+      } catch (error) {
+        console.error("Error serving location share:", error);
+        res.status(500).send("Internal Server Error");
+      }
+    },
+);
+
+// HTTPS endpoint: locationShareMap
+//
+// The page a share link opens: a map that polls locationShare.
+exports.locationShareMap = onRequest(
+    {region: "us-central1", maxInstances: 3},
+    async (req, res) => {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.set("Allow", "GET, HEAD").status(405).send("Method Not Allowed");
+        return;
+      }
+      if (!allowLocationShareRequest(req, "locationShareMap")) {
+        res.set("Retry-After", String(LOCATION_SHARE_RATE_LIMIT_WINDOW_MS /
+          1000)).status(429).send("Too Many Requests");
+        return;
+      }
+
+      res.set("Content-Type", "text/html; charset=utf-8");
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("Referrer-Policy", "no-referrer");
+      res.status(200).send(buildLocationSharePage(LOCATION_SHARE_REFRESH_S));
+    },
+);
+
+/**
+ * Reads the user stats counters that come straight from a user document.
+ * @param {object} userData User document data.
+ * @return {object} friendCount and visitedLandmarkCount.
+ */
+function userDocumentStats(userData) {
+  const uniqueCount = (value) => Array.isArray(value) ?
+    new Set(value).size : 0;
+  return {
+    friendCount: uniqueCount(userData.friends),
+    visitedLandmarkCount: uniqueCount(userData.visitedLandmarkIds),
+  };
+}
+
+/**
+ * Lists who an event counts toward in user stats: its host for
+ * hostedEventCount and every other attendee for attendedEventCount.
+ * Canceled (and missing) events count for nobody.
+ * @param {object|null} eventData Event document data.
+ * @return {object} hostId (or null) and attendeeIds.
+ */
+function eventStatsMembership(eventData) {
+  if (!eventData || eventData.status === "canceled") {
+    return {hostId: null, attendeeIds: []};
+  }
+  const hostId = eventData.hostId || null;
+  const attendeeIds = Array.isArray(eventData.attendeeIds) ?
+    [...new Set(eventData.attendeeIds)].filter((id) => id !== hostId) : [];
+  return {hostId, attendeeIds};
+}
+
+/**
+ * Recomputes user stats counters from the users and events collections and
+ * overwrites `userStats/{uid}`, repairing counters the incremental triggers
+ * got wrong (for example after a retried trigger).
+ * @param {?string} userId One user to rebuild, or null for every user.
+ * @return {Promise<Map<string, object>>} Rebuilt counters by UID.
+ */
+async function rebuildUserStats(userId) {
+  const db = admin.firestore();
+  const eventsRef = db.collection("events");
+  const [userDocs, eventDocs] = userId ?
+    await Promise.all([
+      db.collection("users").doc(userId).get()
+          .then((doc) => doc.exists ? [doc] : []),
+      Promise.all([
+        eventsRef.where("hostId", "==", userId).get(),
+        eventsRef.where("attendeeIds", "array-contains", userId).get(),
+      ]).then((snapshots) => snapshots.flatMap((snapshot) => snapshot.docs)),
+    ]) :
+    await Promise.all([
+      db.collection("users").get().then((snapshot) => snapshot.docs),
+      eventsRef.get().then((snapshot) => snapshot.docs),
+    ]);
+
+  const stats = new Map(userDocs.map((doc) => [doc.id, {
+    ...userDocumentStats(doc.data() || {}),
+    hostedEventCount: 0,
+    attendedEventCount: 0,
+  }]));
+  const countedEventIds = new Set();
+  eventDocs.forEach((doc) => {
+    if (countedEventIds.has(doc.id)) {
+      return;
+    }
+    countedEventIds.add(doc.id);
+    const {hostId, attendeeIds} = eventStatsMembership(doc.data());
+    if (stats.has(hostId)) {
+      stats.get(hostId).hostedEventCount++;
+    }
+    attendeeIds.forEach((attendeeId) => {
+      if (stats.has(attendeeId)) {
+        stats.get(attendeeId).attendedEventCount++;
+      }
+    });
+  });
+
+  const statsRef = db.collection("userStats");
+  await commitInBatches([...stats].map(([id, counters]) => (batch) =>
+    batch.set(statsRef.doc(id), {
+      ...counters,
+      rebuiltAt: admin.firestore.FieldValue.serverTimestamp(),
+    })));
+  return stats;
+}
+
+// Cloud Function: getUserStats
+//
+// Returns the UserStats the profile screen shows. Callers can read their own
+// stats and, like the users get rule, those of users who list them as a
+// friend. Users whose counters were never rebuilt get them built on first
+// read.
+exports.getUserStats = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const callerId = request.auth.uid;
+      const userId = (request.data && request.data.userId) || callerId;
+      if (typeof userId !== "string") {
+        throw new HttpsError("invalid-argument", "userId must be a string.");
+      }
+
+      try {
+        const db = admin.firestore();
+        const userDoc = await db.collection("users").doc(userId).get();
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User not found.");
+        }
+        const userData = userDoc.data() || {};
+        if (userId !== callerId && !(Array.isArray(userData.friends) &&
+            userData.friends.includes(callerId))) {
+          throw new HttpsError(
+              "permission-denied",
+              "You can only view stats for yourself and your friends.",
+          );
+        }
+
+        const [statsDoc, landmarkCount] = await Promise.all([
+          db.collection("userStats").doc(userId).get(),
+          db.collection("landmarks").count().get(),
+        ]);
+        // The triggers only apply changes, so counters they created before
+        // the first rebuild (marked by rebuiltAt) lack earlier activity.
+        const counters = statsDoc.exists && statsDoc.data().rebuiltAt ?
+          statsDoc.data() : (await rebuildUserStats(userId)).get(userId);
+        const count = (field) => Math.max(0, counters[field] || 0);
+        const totalLandmarks = landmarkCount.data().count;
+        const joinDate = toDateOrNull(userData.joinDate);
+
+        return {
+          joinDate: joinDate ? joinDate.toLocaleDateString("en-US", {
+            month: "long",
+            year: "numeric",
+            timeZone: "UTC",
+          }) : "",
+          landmarkCompletion: totalLandmarks > 0 ? Math.min(100, Math.floor(
+              count("visitedLandmarkCount") / totalLandmarks * 100)) : 0,
+          friendCount: count("friendCount"),
+          hostedEventCount: count("hostedEventCount"),
+          attendedEventCount: count("attendedEventCount"),
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error getting user stats:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+/**
+ * Builds the document ID of a dated activity entry. One entry exists per
+ * user, type and subject, so re-recording an entry replaces it.
+ * @param {string} userId User the entry belongs to.
+ * @param {string} type Activity type, a LEADERBOARD_METRIC_BY_ACTIVITY key.
+ * @param {string} subjectId Landmark or event ID.
+ * @return {string} `activityEntries` document ID.
+ */
+function activityEntryId(userId, type, subjectId) {
+  return `${userId}_${type}_${subjectId}`;
+}
+
+/**
+ * Lists the activity entries an event gives its host and attendees.
+ * Canceled events give none, like in user stats.
+ * @param {string} eventId Event document ID.
+ * @param {object|null} eventData Event document data.
+ * @return {Map<string, object>} Entries as {userId, type} by entry ID.
+ */
+function eventActivityEntries(eventId, eventData) {
+  const {hostId, attendeeIds} = eventStatsMembership(eventData);
+  const entries = attendeeIds.map(
+      (userId) => ({userId, type: "eventAttended"}));
+  if (hostId) {
+    entries.push({userId: hostId, type: "eventHosted"});
+  }
+  return new Map(entries.map((entry) =>
+    [activityEntryId(entry.userId, entry.type, eventId), entry]));
+}
+
+// Cloud Function: getFriendsLeaderboard
+//
+// Ranks the caller and their friends by landmarks visited, events attended
+// and events hosted during the `period` ("week" and "month" are the last 7
+// and 30 days), ordered by `metric`. Users with equal counts share a rank.
+exports.getFriendsLeaderboard = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const data = request.data || {};
+      const period = data.period || "week";
+      if (!Object.prototype.hasOwnProperty.call(
+          LEADERBOARD_PERIOD_DAYS, period)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "period must be \"week\", \"month\" or \"allTime\".",
+        );
+      }
+      const metrics = Object.values(LEADERBOARD_METRIC_BY_ACTIVITY);
+      const metric = data.metric || "landmarksVisited";
+      if (!metrics.includes(metric)) {
+        throw new HttpsError(
+            "invalid-argument",
+            `metric must be one of ${metrics.join(", ")}.`,
+        );
+      }
+
+      const userId = request.auth.uid;
+      try {
+        const db = admin.firestore();
+        const userDoc = await db.collection("users").doc(userId).get();
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User document not found.");
+        }
+        const friendIds = Array.isArray(userDoc.data().friends) ?
+          userDoc.data().friends : [];
+        // Only mutual friends: the caller can edit their own friends list,
+        // so each member's list must name the caller too.
+        const memberDocs = [userDoc, ...(await Promise.all(
+            [...new Set(friendIds)]
+                .filter((id) => id !== userId)
+                .map((id) => db.collection("users").doc(id).get()),
+        )).filter((doc) => doc.exists &&
+          Array.isArray(doc.data().friends) &&
+          doc.data().friends.includes(userId))];
+
+        const now = new Date();
+        const days = LEADERBOARD_PERIOD_DAYS[period];
+        const since = days ? new Date(now.getTime() - days * 86400000) : null;
+        const counts = new Map(memberDocs.map((doc) => [doc.id,
+          Object.fromEntries(metrics.map((name) => [name, 0]))]));
+
+        const memberIds = [...counts.keys()];
+        const queries = [];
+        for (let i = 0; i < memberIds.length; i += 30) {
+          let query = db.collection("activityEntries")
+              .where("userId", "in", memberIds.slice(i, i + 30));
+          if (since) {
+            query = query.where("occurredAt", ">=", since);
+          }
+          queries.push(query.get());
+        }
+        (await Promise.all(queries)).forEach((snapshot) => {
+          snapshot.forEach((doc) => {
+            const entry = doc.data() || {};
+            const name = LEADERBOARD_METRIC_BY_ACTIVITY[entry.type];
+            const occurredAt = toDateOrNull(entry.occurredAt);
+            // Events count once they have happened.
+            if (name && counts.has(entry.userId) &&
+                !(occurredAt && occurredAt > now)) {
+              counts.get(entry.userId)[name]++;
+            }
+          });
+        });
+
+        const entries = memberDocs.map((doc) => ({
+          user: publicUserPayload(doc),
+          ...counts.get(doc.id),
+        }));
+        entries.sort((a, b) => b[metric] - a[metric] ||
+          a.user.username.localeCompare(b.user.username));
+        entries.forEach((entry, index) => {
+          const previous = entries[index - 1];
+          entry.rank = previous && previous[metric] === entry[metric] ?
+            previous.rank : index + 1;
+        });
+
+        return {
+          period,
+          metric,
+          since: since ? since.toISOString() : null,
+          entries,
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error building friends leaderboard:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+/**
+ * Looks up how close a user must be to a landmark to check in.
+ * @param {*} category Landmark category.
+ * @return {number} Check-in radius in meters.
+ */
+function landmarkCheckInRadius(category) {
+  const key = typeof category === "string" ? category.toLowerCase() : "";
+  return Object.prototype.hasOwnProperty.call(LANDMARK_CHECK_IN_RADIUS_M, key) ?
+    LANDMARK_CHECK_IN_RADIUS_M[key] : LANDMARK_CHECK_IN_DEFAULT_RADIUS_M;
+}
+
+// Cloud Function: checkInLandmark
+//
+// Marks a landmark visited once the caller's live location in RTDB
+// `locations/{uid}` shows them near it. Each check-in is recorded in
+// `landmarkCheckIns`; clients can no longer add to visitedLandmarkIds.
+exports.checkInLandmark = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const landmarkId = request.data && request.data.landmarkId;
+      if (typeof landmarkId !== "string" || !landmarkId) {
+        throw new HttpsError("invalid-argument", "landmarkId is required.");
+      }
+
+      const userId = request.auth.uid;
+      try {
+        const db = admin.firestore();
+        const userRef = db.collection("users").doc(userId);
+        const [userDoc, landmarkDoc, locationSnapshot] = await Promise.all([
+          userRef.get(),
+          db.collection("landmarks").doc(landmarkId).get(),
+          admin.database().ref(`locations/${userId}`).get(),
+        ]);
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User document not found.");
+        }
+        if (!landmarkDoc.exists) {
+          throw new HttpsError("not-found", "Landmark not found.");
+        }
+
+        const landmark = landmarkDoc.data() || {};
+        const landmarkPoint = {
+          latitude: landmark.latitude,
+          longitude: landmark.longitude,
+        };
+        if (!isValidPoint(landmarkPoint)) {
+          throw new HttpsError(
+              "failed-precondition",
+              "This landmark has no location.",
+          );
+        }
+
+        const location = locationSnapshot.val();
+        const fixTime = location ? Number(location.timestamp) : NaN;
+        if (!isValidPoint(location) || !Number.isFinite(fixTime)) {
+          throw new HttpsError(
+              "failed-precondition",
+              "Turn on location sharing to check in.",
+              {reason: "no-location"},
+          );
+        }
+        if (Date.now() - fixTime > LANDMARK_CHECK_IN_MAX_LOCATION_AGE_MS) {
+          throw new HttpsError(
+              "failed-precondition",
+              "Your location is out of date. Try again in a moment.",
+              {reason: "stale-location"},
+          );
+        }
+
+        const distance = Math.round(distanceMeters(location, landmarkPoint));
+        const radius = landmarkCheckInRadius(landmark.category);
+        if (distance > radius) {
+          throw new HttpsError(
+              "failed-precondition",
+              `Get within ${radius} m of ${landmark.name || "the landmark"} ` +
+              "to check in.",
+              {reason: "too-far", distanceMeters: distance,
+                radiusMeters: radius},
+          );
+        }
+
+        const visited = (userDoc.data() || {}).visitedLandmarkIds;
+        const firstVisit = !(Array.isArray(visited) &&
+          visited.includes(landmarkId));
+        const {FieldValue} = admin.firestore;
+        const checkInRef = db.collection("landmarkCheckIns").doc();
+        await commitInBatches([
+          (batch) => batch.set(checkInRef, {
+            userId,
+            landmarkId,
+            checkedInAt: FieldValue.serverTimestamp(),
+            locationTimestamp: fixTime,
+            distanceMeters: distance,
+          }),
+          (batch) => batch.update(userRef, {
+            visitedLandmarkIds: FieldValue.arrayUnion(landmarkId),
+          }),
+        ]);
+
+        return {
+          success: true,
+          checkInId: checkInRef.id,
+          landmarkId,
+          distanceMeters: distance,
+          firstVisit,
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error checking in at landmark:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: suggestMeetup
+//
+// Picks the landmark that gets the caller and the given friends together
+// soonest: the one with the smallest longest walk, measured along the trail
+// loop (see trailDistanceMeters), with the smallest total walk breaking
+// ties. Friends must share their location with the caller, as checked by
+// the `locations` rules; friends without a fresh fix are left out and listed
+// in missingUserIds.
+exports.suggestMeetup = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const userId = request.auth.uid;
+      const {friendIds, eventType = "walk"} = request.data || {};
+      if (!Array.isArray(friendIds) ||
+          friendIds.some((id) => typeof id !== "string" || !id ||
+            id.includes("/"))) {
+        throw new HttpsError(
+            "invalid-argument",
+            "friendIds must be a list of user IDs.",
+        );
+      }
+      const uniqueFriendIds = [...new Set(friendIds)]
+          .filter((id) => id !== userId);
+      if (uniqueFriendIds.length === 0 ||
+          uniqueFriendIds.length > MEETUP_MAX_FRIENDS) {
+        throw new HttpsError(
+            "invalid-argument",
+            `Choose between 1 and ${MEETUP_MAX_FRIENDS} friends.`,
+        );
+      }
+      if (!Object.prototype.hasOwnProperty.call(
+          MEETUP_PACE_M_PER_MIN, eventType)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "eventType must be walk, run or bike.",
+        );
+      }
+
+      try {
+        const database = admin.database();
+        const participantIds = [userId, ...uniqueFriendIds];
+        const [readerSnapshots, blockedUserIds, locationSnapshots,
+          landmarksSnapshot] = await Promise.all([
+          Promise.all(uniqueFriendIds.map((friendId) =>
+            database.ref(`locationReaders/${friendId}/${userId}`).get())),
+          blockedUserIdsFor(userId),
+          Promise.all(participantIds.map((id) =>
+            database.ref(`locations/${id}`).get())),
+          admin.firestore().collection("landmarks").get(),
+        ]);
+
+        const hiddenUserIds = uniqueFriendIds.filter((friendId, index) =>
+          readerSnapshots[index].val() !== true ||
+          blockedUserIds.has(friendId));
+        if (hiddenUserIds.length > 0) {
+          throw new HttpsError(
+              "permission-denied",
+              "Some of these friends aren't sharing their location with you.",
+              {userIds: hiddenUserIds},
+          );
+        }
+
+        const now = Date.now();
+        const participants = [];
+        const missingUserIds = [];
+        participantIds.forEach((id, index) => {
+          const location = locationSnapshots[index].val();
+          const fixTime = location ? Number(location.timestamp) : NaN;
+          if (isValidPoint(location) && Number.isFinite(fixTime) &&
+              now - fixTime <= MEETUP_MAX_LOCATION_AGE_MS) {
+            participants.push({userId: id, location});
+          } else if (id !== userId) {
+            missingUserIds.push(id);
+          }
+        });
+        if (participants.length < 2) {
+          throw new HttpsError(
+              "failed-precondition",
+              "At least two of you need to be sharing a current location.",
+              {reason: "not-enough-locations", missingUserIds},
+          );
+        }
+
+        let best = null;
+        landmarksSnapshot.forEach((doc) => {
+          const landmark = doc.data() || {};
+          const point = {
+            latitude: landmark.latitude,
+            longitude: landmark.longitude,
+          };
+          if (!isValidPoint(point)) {
+            return;
+          }
+          const distances = participants.map(({location}) =>
+            trailDistanceMeters(location, point));
+          const longest = Math.max(...distances);
+          const total = distances.reduce((sum, distance) => sum + distance, 0);
+          if (!best || longest < best.longest ||
+              (longest === best.longest && total < best.total)) {
+            best = {doc, landmark, distances, longest, total};
+          }
+        });
+        if (!best) {
+          throw new HttpsError(
+              "failed-precondition",
+              "There are no landmarks to meet at.",
+              {reason: "no-landmarks"},
+          );
+        }
+
+        const pace = MEETUP_PACE_M_PER_MIN[eventType];
+        const arrivals = participants.map(({userId: id}, index) => {
+          const minutes = Math.ceil(best.distances[index] / pace);
+          return {
+            userId: id,
+            distanceMeters: Math.round(best.distances[index]),
+            etaMinutes: minutes,
+            arrivesAt: new Date(now + minutes * 60000).toISOString(),
+          };
+        });
+        const meetMinutes = Math.max(...arrivals.map((a) => a.etaMinutes));
+
+        return {
+          landmark: {
+            id: best.doc.id,
+            name: best.landmark.name || "",
+            category: best.landmark.category || null,
+            latitude: best.landmark.latitude,
+            longitude: best.landmark.longitude,
+          },
+          eventType,
+          maxDistanceMeters: Math.round(best.longest),
+          meetAt: new Date(now + meetMinutes * 60000).toISOString(),
+          participants: arrivals,
+          missingUserIds,
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error suggesting meetup:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: findNearbyEvents
+//
+// Radius search over `events` using the geohash kept by indexEventGeohash,
+// which only indexes events that have not finished. Returns the events the
+// caller may see (see isEventVisibleTo) within the date window and optional
+// eventType, nearest first.
+exports.findNearbyEvents = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {center, radiusMeters, startDate, endDate, eventType} =
+        request.data || {};
+      if (!isValidPoint(center)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "center must have a valid latitude and longitude.",
+        );
+      }
+      if (typeof radiusMeters !== "number" || radiusMeters <= 0 ||
+          radiusMeters > NEARBY_EVENTS_MAX_RADIUS_M) {
+        throw new HttpsError(
+            "invalid-argument",
+            `radiusMeters must be between 0 and ${NEARBY_EVENTS_MAX_RADIUS_M}.`,
+        );
+      }
+      if (eventType !== undefined && eventType !== null &&
+          !Object.hasOwn(EVENT_DEFAULT_DURATION_MINUTES, eventType)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "eventType must be walk, run or bike.",
+        );
+      }
+      const windowStart = startDate ? toDateOrNull(startDate) : new Date();
+      const windowEnd = endDate ? toDateOrNull(endDate) : windowStart &&
+        new Date(windowStart.getTime() +
+          NEARBY_EVENTS_DEFAULT_WINDOW_DAYS * 86400000);
+      if (!windowStart || !windowEnd || windowEnd < windowStart) {
+        throw new HttpsError(
+            "invalid-argument",
+            "startDate and endDate must be dates with startDate first.",
+        );
+      }
+
+      try {
+        const userId = request.auth.uid;
+        const db = admin.firestore();
+        const [friendIds, blockedUserIds, invitedEventIds, ...rangeSnapshots] =
+          await Promise.all([
+            befriendingUserIdsFor(userId),
+            blockedUserIdsFor(userId),
+            invitedEventIdsFor(userId),
+            ...geohashQueryBounds(center, radiusMeters).map(([start, end]) =>
+              db.collection("events")
+                  .orderBy("geohash")
+                  .startAt(start)
+                  .endAt(end)
+                  .get()),
+          ]);
+
+        const results = [];
+        const seen = new Set();
+        rangeSnapshots.forEach((snapshot) => snapshot.forEach((doc) => {
+          if (seen.has(doc.id)) {
+            return;
+          }
+          seen.add(doc.id);
+
+          const eventData = doc.data() || {};
+          const dateTime = toDateOrNull(eventData.dateTime);
+          const visible = isEventVisibleTo(eventData, userId, friendIds,
+              invitedEventIds.has(doc.id));
+          if (!visible || blockedUserIds.has(eventData.hostId) ||
+              !isValidPoint(eventData.location) ||
+              !dateTime || dateTime < windowStart || dateTime > windowEnd ||
+              eventData.status === "canceled" ||
+              eventData.status === "completed" ||
+              (eventType && eventData.eventType !== eventType)) {
+            return;
+          }
+
+          const distance = distanceMeters(center, eventData.location);
+          if (distance <= radiusMeters) {
+            results.push({
+              ...exportEventPayload(doc),
+              distanceMeters: Math.round(distance),
+            });
+          }
+        }));
+
+        results.sort((a, b) => a.distanceMeters - b.distanceMeters);
+        return {events: results.slice(0, NEARBY_EVENTS_MAX_RESULTS)};
+      } catch (error) {
+        console.error("Error finding nearby events:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: listVisibleEvents
+//
+// Server-side replacement for listing the whole events collection: returns
+// the events the caller may see (see isEventVisibleTo) whose dateTime falls
+// in the window, optionally only those hosted by `hostIds`, soonest first.
+exports.listVisibleEvents = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {startDate, endDate, hostIds} = request.data || {};
+      const limit = request.data && request.data.limit !== undefined ?
+        request.data.limit : LIST_VISIBLE_EVENTS_DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 ||
+          limit > LIST_VISIBLE_EVENTS_MAX_LIMIT) {
+        throw new HttpsError(
+            "invalid-argument",
+            `limit must be between 1 and ${LIST_VISIBLE_EVENTS_MAX_LIMIT}.`,
+        );
+      }
+      if (hostIds !== undefined && hostIds !== null &&
+          (!Array.isArray(hostIds) || hostIds.length === 0 ||
+            hostIds.length > 30 ||
+            hostIds.some((id) => !id || typeof id !== "string"))) {
+        throw new HttpsError(
+            "invalid-argument",
+            "hostIds must be an array of 1-30 user IDs.",
+        );
+      }
+      const windowStart = startDate ? toDateOrNull(startDate) :
+        new Date(Date.now() -
+          LIST_VISIBLE_EVENTS_DEFAULT_PAST_DAYS * 86400000);
+      const windowEnd = endDate ? toDateOrNull(endDate) : null;
+      if (!windowStart || (endDate && !windowEnd) ||
+          (windowEnd && windowEnd < windowStart)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "startDate and endDate must be dates with startDate first.",
+        );
+      }
+
+      try {
+        const userId = request.auth.uid;
+        const db = admin.firestore();
+        const eventsRef = db.collection("events");
+        const [friendIds, blockedUserIds, invitedEventIds] = await Promise.all([
+          befriendingUserIdsFor(userId),
+          blockedUserIdsFor(userId),
+          invitedEventIdsFor(userId),
+        ]);
+
+        // Every query reads only the window, soonest first, and at most
+        // `limit` events, so the cost does not grow with event history.
+        const inWindow = (query) => {
+          let windowed = query.where("dateTime", ">=", windowStart);
+          if (windowEnd) {
+            windowed = windowed.where("dateTime", "<=", windowEnd);
+          }
+          return windowed.orderBy("dateTime").limit(limit).get();
+        };
+        const queries = [];
+        if (hostIds) {
+          queries.push(inWindow(eventsRef.where("hostId", "in", hostIds)));
+        } else {
+          queries.push(inWindow(eventsRef.where("isPublic", "==", true)));
+
+          const friendList = [...friendIds];
+          for (let i = 0; i < friendList.length; i += 30) {
+            queries.push(inWindow(eventsRef
+                .where("hostId", "in", friendList.slice(i, i + 30))
+                .where("isPublic", "==", false)));
+          }
+          queries.push(inWindow(eventsRef.where("hostId", "==", userId)));
+          queries.push(inWindow(eventsRef
+              .where("attendeeIds", "array-contains", userId)));
+        }
+        const invitedDocs = hostIds ? [] : await Promise.all(
+            [...invitedEventIds].map((id) => eventsRef.doc(id).get()),
+        );
+
+        const docs = [
+          ...(await Promise.all(queries)).flatMap((snapshot) => snapshot.docs),
+          ...invitedDocs.filter((doc) => doc.exists),
+        ];
+        const eventsById = new Map();
+        docs.forEach((doc) => {
+          const eventData = doc.data() || {};
+          const dateTime = toDateOrNull(eventData.dateTime);
+          if (eventsById.has(doc.id) || !dateTime ||
+              dateTime < windowStart || (windowEnd && dateTime > windowEnd) ||
+              blockedUserIds.has(eventData.hostId) ||
+              !isEventVisibleTo(eventData, userId, friendIds,
+                  invitedEventIds.has(doc.id))) {
+            return;
+          }
+          eventsById.set(doc.id, {dateTime, payload: visibleEventPayload(doc)});
+        });
+
+        const events = [...eventsById.values()]
+            .sort((a, b) => a.dateTime - b.dateTime)
+            .slice(0, limit)
+            .map(({payload}) => payload);
+        return {events};
+      } catch (error) {
+        console.error("Error listing visible events:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: inviteToEvent
+//
+// Hosts can always invite their friends. Attendees can too, unless the host
+// turned off allowFriendsToInviteOthers. Each invitee gets an
+// `events/{eventId}/invites/{uid}` document, which lets them read a private
+// event, and one eventInvite notification per event, keyed
+// `eventInvite_{eventId}`, so repeated invites do not stack up.
+exports.inviteToEvent = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {eventId, userIds} = request.data || {};
+      if (!eventId || typeof eventId !== "string") {
+        throw new HttpsError("invalid-argument", "eventId is required.");
+      }
+      if (!Array.isArray(userIds) || userIds.length === 0 ||
+          userIds.length > EVENT_INVITE_MAX_INVITEES ||
+          userIds.some((id) => !id || typeof id !== "string")) {
+        throw new HttpsError(
+            "invalid-argument",
+            `userIds must be an array of 1-${EVENT_INVITE_MAX_INVITEES} ` +
+              "user IDs.",
+        );
+      }
+
+      const userId = request.auth.uid;
+      const db = admin.firestore();
+
+      try {
+        const [eventDoc, inviterDoc] = await Promise.all([
+          db.collection("events").doc(eventId).get(),
+          db.collection("users").doc(userId).get(),
+        ]);
+
+        if (!eventDoc.exists) {
+          throw new HttpsError("not-found", "Event not found.");
+        }
+        if (!inviterDoc.exists) {
+          throw new HttpsError("not-found", "User document not found.");
+        }
+
+        const eventData = eventDoc.data() || {};
+        if (eventData.status === "canceled") {
+          throw new HttpsError(
+              "failed-precondition",
+              "This event has been canceled.",
+          );
+        }
+
+        const attendeeIds = new Set(Array.isArray(eventData.attendeeIds) ?
+          eventData.attendeeIds : []);
+        const isHost = eventData.hostId === userId;
+        if (!isHost) {
+          const hostDoc = await db.collection("users")
+              .doc(eventData.hostId)
+              .get();
+          const hostAllowsInvites = hostDoc.exists &&
+            hostDoc.data().allowFriendsToInviteOthers !== false;
+          if (!attendeeIds.has(userId) || !hostAllowsInvites) {
+            throw new HttpsError(
+                "permission-denied",
+                "You cannot invite people to this event.",
+            );
+          }
+        }
+
+        const [inviterFriends, blockedUserIds] = await Promise.all([
+          mutualFriendIdsFor(userId, Array.isArray(inviterDoc.data().friends) ?
+            inviterDoc.data().friends : []),
+          blockedUserIdsFor(userId),
+        ]);
+        const notificationKey = `eventInvite_${eventId}`;
+        const inviteeIds = [...new Set(userIds)];
+
+        const invitesRef = eventDoc.ref.collection("invites");
+        const [inviteDocs, inviteNotifications] = await Promise.all([
+          Promise.all(inviteeIds.map((id) => invitesRef.doc(id).get())),
+          Promise.all(inviteeIds.map((inviteeId) => admin.database()
+              .ref(`notifications/${inviteeId}/${notificationKey}`)
+              .get())),
+        ]);
+
+        const inviterName =
+          notificationDisplayName(publicUserPayload(inviterDoc));
+        const content =
+          `${inviterName} invited you to ${eventData.title || "an event"}!`;
+        const updates = {};
+        const inviteWrites = [];
+        const results = inviteeIds.map((inviteeId, index) => {
+          let status = "invited";
+          if (attendeeIds.has(inviteeId) || eventData.hostId === inviteeId) {
+            status = "already-attending";
+          } else if (!inviterFriends.has(inviteeId) ||
+              blockedUserIds.has(inviteeId)) {
+            status = "not-friend";
+          } else if (inviteDocs[index].exists) {
+            status = "already-invited";
+          } else {
+            // Invites sent before invite documents existed only left a
+            // notification; record those without notifying again.
+            if (inviteNotifications[index].exists()) {
+              status = "already-invited";
+            } else {
+              updates[`notifications/${inviteeId}/${notificationKey}`] =
+                buildNotification("eventInvite", userId, content, eventId);
+            }
+            inviteWrites.push((batch) => batch.set(invitesRef.doc(inviteeId), {
+              userId: inviteeId,
+              eventId,
+              invitedBy: userId,
+              invitedAt: Date.now(),
+            }));
+          }
+          return {userId: inviteeId, status};
+        });
+
+        // Invite documents first: they grant read access to the event the
+        // notification points at.
+        await commitInBatches(inviteWrites);
+        if (Object.keys(updates).length > 0) {
+          await admin.database().ref().update(updates);
+        }
+
+        return {
+          results,
+          invitedCount: results.filter((r) => r.status === "invited").length,
+        };
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error inviting to event:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+/**
+ * Joins or leaves an event inside a transaction. Events with `maxAttendees`
+ * keep late joiners in an `events/{eventId}/waitlist` subcollection ordered by
+ * `joinedAt`; whenever a spot is open the head of the waitlist is promoted
+ * before anyone new is seated, so nobody jumps the queue.
+ * @param {string} eventId Event document ID.
+ * @param {string} userId UID of the caller.
+ * @param {string} action "join" or "leave".
+ * @return {Promise<object>} Caller's resulting status, waitlist position and
+ *   the UIDs promoted from the waitlist.
+ */
+async function changeEventAttendance(eventId, userId, action) {
+  const db = admin.firestore();
+  const {FieldValue} = admin.firestore;
+  const eventRef = db.collection("events").doc(eventId);
+  const waitlistRef = eventRef.collection("waitlist");
+  const usersRef = db.collection("users");
+
+  return db.runTransaction(async (transaction) => {
+    const [eventDoc, waitlistSnapshot] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(waitlistRef.orderBy("joinedAt")),
+    ]);
+
+    if (!eventDoc.exists) {
+      throw new HttpsError("not-found", "Event not found.");
+    }
+
+    const eventData = eventDoc.data() || {};
+    const attendees = Array.isArray(eventData.attendeeIds) ?
+      [...eventData.attendeeIds] : [];
+    const waitlist = waitlistSnapshot.docs.map((doc) => doc.id);
+    const capacity = typeof eventData.maxAttendees === "number" &&
+      eventData.maxAttendees > 0 ? eventData.maxAttendees : Infinity;
+    const wasAttending = attendees.includes(userId);
+    const wasWaitlisted = waitlist.includes(userId);
+
+    if (action === "join" && !wasAttending && !wasWaitlisted &&
+        (eventData.status === "canceled" || eventData.status === "completed")) {
+      throw new HttpsError(
+          "failed-precondition",
+          "This event is no longer open.",
+      );
+    }
+    // Users blocked by the host, or who blocked the host, cannot join; to
+    // them the event does not exist, as in listVisibleEvents.
+    if (action === "join" && !wasAttending && !wasWaitlisted &&
+        eventData.hostId !== userId &&
+        await isBlockedBetween(userId, eventData.hostId)) {
+      throw new HttpsError("not-found", "Event not found.");
+    }
+    if (action === "leave" && eventData.hostId === userId) {
+      throw new HttpsError(
+          "failed-precondition",
+          "Hosts cannot leave their own event.",
+      );
+    }
+
+    if (action === "leave" && wasAttending) {
+      attendees.splice(attendees.indexOf(userId), 1);
+      transaction.update(usersRef.doc(userId), {
+        attendingEventIds: FieldValue.arrayRemove(eventId),
+      });
+    }
+    if (action === "leave" && wasWaitlisted) {
+      waitlist.splice(waitlist.indexOf(userId), 1);
+      transaction.delete(waitlistRef.doc(userId));
+    }
+
+    const promotedUserIds = [];
+    while (attendees.length < capacity && waitlist.length > 0) {
+      const promotedId = waitlist.shift();
+      attendees.push(promotedId);
+      promotedUserIds.push(promotedId);
+      transaction.delete(waitlistRef.doc(promotedId));
+      transaction.update(usersRef.doc(promotedId), {
+        attendingEventIds: FieldValue.arrayUnion(eventId),
+      });
+    }
+
+    let status = action === "leave" ? "left" : "attending";
+    if (action === "join" && !wasAttending &&
+        !promotedUserIds.includes(userId)) {
+      if (!wasWaitlisted && attendees.length < capacity) {
+        attendees.push(userId);
+        transaction.update(usersRef.doc(userId), {
+          attendingEventIds: FieldValue.arrayUnion(eventId),
+        });
+      } else {
+        status = "waitlisted";
+        if (!wasWaitlisted) {
+          waitlist.push(userId);
+          transaction.set(waitlistRef.doc(userId), {
+            userId,
+            joinedAt: Date.now(),
+          });
+        }
+      }
+    }
+
+    const previousAttendees = Array.isArray(eventData.attendeeIds) ?
+      eventData.attendeeIds : [];
+    if (attendees.join("\n") !== previousAttendees.join("\n")) {
+      transaction.update(eventRef, {attendeeIds: attendees});
+    }
+
+    return {
+      status,
+      waitlistPosition: status === "waitlisted" ?
+        waitlist.indexOf(userId) + 1 : null,
+      promotedUserIds,
+      eventData,
+    };
+  });
+}
+
+/**
+ * Tells users promoted off an event's waitlist that they now have a spot.
+ * @param {string} eventId Event document ID.
+ * @param {object} eventData Event data read in the attendance transaction.
+ * @param {Array<string>} promotedUserIds UIDs promoted from the waitlist.
+ * @return {Promise<void>} Resolves when the notifications are written.
+ */
+async function notifyPromotedAttendees(eventId, eventData, promotedUserIds) {
+  if (promotedUserIds.length === 0) {
+    return;
+  }
+
+  const updates = {};
+  const content = "A spot opened up! You're now going to " +
+    `'${eventData.title || "an event"}'.`;
+  promotedUserIds.forEach((promotedId) => {
+    const notificationId = admin.database()
+        .ref(`notifications/${promotedId}`)
+        .push().key;
+    updates[`notifications/${promotedId}/${notificationId}`] =
+      buildNotification("eventUpdate", eventData.hostId, content, eventId);
+  });
+  await admin.database().ref().update(updates);
+}
+
+// Cloud Function: joinEvent
+exports.joinEvent = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {eventId} = request.data || {};
+      if (!eventId || typeof eventId !== "string") {
+        throw new HttpsError("invalid-argument", "eventId is required.");
+      }
+
+      try {
+        const eventDoc = await admin.firestore()
+            .collection("events")
+            .doc(eventId)
+            .get();
+        if (!eventDoc.exists ||
+            !(await canViewEvent(eventId, eventDoc.data(), request.auth.uid))) {
+          throw new HttpsError("not-found", "Event not found.");
+        }
+
+        const {status, waitlistPosition, promotedUserIds, eventData} =
+          await changeEventAttendance(eventId, request.auth.uid, "join");
+        await notifyPromotedAttendees(
+            eventId,
+            eventData,
+            promotedUserIds.filter((id) => id !== request.auth.uid),
+        );
+        return {status, waitlistPosition};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error joining event:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: leaveEvent
+exports.leaveEvent = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {eventId} = request.data || {};
+      if (!eventId || typeof eventId !== "string") {
+        throw new HttpsError("invalid-argument", "eventId is required.");
+      }
+
+      try {
+        const {status, promotedUserIds, eventData} =
+          await changeEventAttendance(eventId, request.auth.uid, "leave");
+        await notifyPromotedAttendees(eventId, eventData, promotedUserIds);
+        return {status, promotedCount: promotedUserIds.length};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error leaving event:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+/**
+ * Validates event fields sent for an event series or one of its
+ * occurrences, mirroring what the app writes for a single event.
+ * @param {object} input Fields from the callable request.
+ * @param {boolean} partial True for edits, where every field is optional.
+ * @return {object} Fields to store, limited to EVENT_SERIES_FIELDS.
+ */
+function parseSeriesEventFields(input, partial) {
+  const fields = {};
+  const present = (key) => input[key] !== undefined && input[key] !== null;
+  const reject = (message) => {
+    throw new HttpsError("invalid-argument", message);
+  };
+
+  if (present("title") || !partial) {
+    if (typeof input.title !== "string" || !input.title.trim()) {
+      reject("title is required.");
+    }
+    fields.title = input.title.trim();
+  }
+  ["description", "locationName"].forEach((key) => {
+    if (present(key)) {
+      if (typeof input[key] !== "string") {
+        reject(`${key} must be a string.`);
+      }
+      fields[key] = input[key];
+    }
+  });
+  if (present("location") || !partial) {
+    const {latitude, longitude} = input.location || {};
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      reject("location must have a valid latitude and longitude.");
+    }
+    fields.location = {latitude, longitude};
+  }
+  if (present("eventType") || !partial) {
+    if (!Object.hasOwn(EVENT_DEFAULT_DURATION_MINUTES, input.eventType)) {
+      reject("eventType must be walk, run or bike.");
+    }
+    fields.eventType = input.eventType;
+  }
+  if (present("isPublic") || !partial) {
+    if (typeof input.isPublic !== "boolean") {
+      reject("isPublic must be a boolean.");
+    }
+    fields.isPublic = input.isPublic;
+  }
+  if (present("tags") || !partial) {
+    const tags = input.tags || [];
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+      reject("tags must be an array of strings.");
+    }
+    fields.tags = tags;
+  }
+  if (present("maxAttendees")) {
+    if (!Number.isInteger(input.maxAttendees) || input.maxAttendees < 1) {
+      reject("maxAttendees must be a positive integer.");
+    }
+    fields.maxAttendees = input.maxAttendees;
+  }
+  return fields;
+}
+
+/**
+ * Compares one EVENT_SERIES_FIELDS value on an occurrence and its series.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @return {boolean} True when the values are the same.
+ */
+function sameSeriesFieldValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return a.latitude === b.latitude && a.longitude === b.longitude;
+  }
+  return a === b;
+}
+
+/**
+ * Plans the `events` documents for an event series' next occurrences that
+ * have not been created yet. Occurrence IDs are `{seriesId}_{index}` and are
+ * written with create(), so an existing occurrence is never replaced. Series
+ * subscribers are seated in subscription order up to maxAttendees and
+ * waitlisted after that.
+ * @param {string} seriesId Event series document ID.
+ * @param {object} seriesData Event series document data.
+ * @param {Date} now Current time.
+ * @return {object} The new occurrences, each with its `eventId`, `index` and
+ *   the `writes` to apply to a batch or transaction, and the update for the
+ *   series document.
+ */
+function planSeriesOccurrences(seriesId, seriesData, now) {
+  const db = admin.firestore();
+  const {FieldValue} = admin.firestore;
+  const rule = parseRecurrenceRule(seriesData.recurrence);
+  const start = toDateOrNull(seriesData.startDateTime);
+  const materializedThrough = seriesData.materializedThroughIndex || 0;
+  if (!rule || !start || !isValidTimeZone(seriesData.timeZone)) {
+    return {occurrences: [], seriesUpdate: {status: "completed"}};
+  }
+
+  const upcoming = nextOccurrences({
+    rule,
+    start,
+    timeZone: seriesData.timeZone,
+    after: now,
+    limit: EVENT_SERIES_MATERIALIZED_OCCURRENCES,
+  });
+  const template = {};
+  EVENT_SERIES_FIELDS.forEach((field) => {
+    if (seriesData[field] !== undefined) {
+      template[field] = seriesData[field];
+    }
+  });
+  const capacity = typeof seriesData.maxAttendees === "number" &&
+    seriesData.maxAttendees > 0 ? seriesData.maxAttendees : Infinity;
+  const subscribers = (Array.isArray(seriesData.subscriberIds) ?
+    seriesData.subscriberIds : []).filter((id) => id !== seriesData.hostId);
+  const seated = subscribers.slice(0, capacity);
+  const waitlisted = subscribers.slice(seated.length);
+
+  const occurrences = upcoming.filter(({index}) => index > materializedThrough)
+      .map(({index, start: occurrenceStart}) => {
+        const eventId = `${seriesId}_${index}`;
+        const eventRef = db.collection("events").doc(eventId);
+        const writes = [(writer) => writer.create(eventRef, {
+          ...template,
+          id: eventId,
+          hostId: seriesData.hostId,
+          dateTime: occurrenceStart,
+          attendeeIds: seated,
+          status: "upcoming",
+          seriesId,
+          occurrenceIndex: index,
+          recurrence: seriesData.recurrence,
+        })];
+        seated.forEach((userId) => {
+          writes.push((writer) => writer.update(
+              db.collection("users").doc(userId),
+              {attendingEventIds: FieldValue.arrayUnion(eventId)},
+          ));
+        });
+        waitlisted.forEach((userId, position) => {
+          writes.push((writer) => writer.set(
+              eventRef.collection("waitlist").doc(userId),
+              {userId, joinedAt: now.getTime() + position},
+          ));
+        });
+        return {eventId, index, writes};
+      });
+
+  const seriesUpdate = {};
+  const lastIndex = upcoming.length > 0 ?
+    upcoming[upcoming.length - 1].index : materializedThrough;
+  if (lastIndex > materializedThrough) {
+    seriesUpdate.materializedThroughIndex = lastIndex;
+  }
+  if (upcoming.length === 0) {
+    seriesUpdate.status = "completed";
+  }
+  return {occurrences, seriesUpdate};
+}
+
+/**
+ * Creates the missing upcoming occurrences of one active event series. Each
+ * occurrence is written in one transaction with the series'
+ * materializedThroughIndex, so a failed run never leaves occurrences that the
+ * next run would write again. Subscribers whose account is gone are not
+ * seated.
+ * @param {FirebaseFirestore.DocumentSnapshot} seriesDoc Event series
+ *   document.
+ * @param {Date} now Current time.
+ * @return {Promise<number>} Number of occurrences created.
+ */
+async function materializeSeriesOccurrences(seriesDoc, now) {
+  const db = admin.firestore();
+  const seriesData = seriesDoc.data() || {};
+  const subscriberDocs = await Promise.all(
+      (Array.isArray(seriesData.subscriberIds) ? seriesData.subscriberIds : [])
+          .map((id) => db.collection("users").doc(id).get()),
+  );
+  const {occurrences, seriesUpdate} = planSeriesOccurrences(seriesDoc.id, {
+    ...seriesData,
+    subscriberIds: subscriberDocs.filter((doc) => doc.exists)
+        .map((doc) => doc.id),
+  }, now);
+
+  let created = 0;
+  for (const {eventId, index, writes} of occurrences) {
+    const eventRef = db.collection("events").doc(eventId);
+    created += await db.runTransaction(async (transaction) => {
+      const [current, eventDoc] =
+        await transaction.getAll(seriesDoc.ref, eventRef);
+      const currentData = current.data() || {};
+      if (!current.exists || currentData.status !== "active" ||
+          (currentData.materializedThroughIndex || 0) >= index) {
+        return 0;
+      }
+      if (!eventDoc.exists) {
+        writes.forEach((write) => write(transaction));
+      }
+      transaction.update(seriesDoc.ref, {materializedThroughIndex: index});
+      return eventDoc.exists ? 0 : 1;
+    });
+  }
+  if (seriesUpdate.status) {
+    await seriesDoc.ref.update({status: seriesUpdate.status});
+  }
+  return created;
+}
+
+/**
+ * Loads an event series and checks that the caller hosts it.
+ * @param {string} seriesId Event series document ID.
+ * @param {string} userId UID of the caller.
+ * @return {Promise<FirebaseFirestore.DocumentSnapshot>} The series document.
+ */
+async function getHostedEventSeries(seriesId, userId) {
+  const seriesDoc = await admin.firestore()
+      .collection("eventSeries")
+      .doc(seriesId)
+      .get();
+  if (!seriesDoc.exists) {
+    throw new HttpsError("not-found", "Event series not found.");
+  }
+  if ((seriesDoc.data() || {}).hostId !== userId) {
+    throw new HttpsError(
+        "permission-denied",
+        "Only the host can change this event series.",
+    );
+  }
+  return seriesDoc;
+}
+
+/**
+ * Loads the series' materialized occurrences that have not started yet.
+ * @param {string} seriesId Event series document ID.
+ * @return {Promise<Array<FirebaseFirestore.DocumentSnapshot>>} Occurrence
+ *   documents in series order.
+ */
+async function upcomingSeriesOccurrences(seriesId) {
+  const snapshot = await admin.firestore()
+      .collection("events")
+      .where("seriesId", "==", seriesId)
+      .where("status", "==", "upcoming")
+      .get();
+  return snapshot.docs.sort((a, b) =>
+    (a.data().occurrenceIndex || 0) - (b.data().occurrenceIndex || 0));
+}
+
+// Cloud Function: createEventSeries
+//
+// Creates a recurring event from the same fields the app writes for a single
+// event plus `recurrence` (RRULE subset: FREQ=DAILY|WEEKLY, BYDAY, COUNT or
+// UNTIL) and the host's IANA `timeZone`. The first occurrences are created
+// right away; materializeEventSeries keeps the window filled afterwards.
+exports.createEventSeries = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const data = request.data || {};
+      const fields = parseSeriesEventFields(data, false);
+      const startDateTime = toDateOrNull(data.dateTime);
+      if (!startDateTime) {
+        throw new HttpsError("invalid-argument", "dateTime is required.");
+      }
+      if (!parseRecurrenceRule(data.recurrence)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "recurrence must be an RRULE with FREQ=DAILY or FREQ=WEEKLY " +
+              "and optional BYDAY, COUNT or UNTIL.",
+        );
+      }
+      if (!isValidTimeZone(data.timeZone)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "timeZone must be an IANA time zone name.",
+        );
+      }
+
+      try {
+        const seriesRef = admin.firestore().collection("eventSeries").doc();
+        const seriesData = {
+          ...fields,
+          hostId: request.auth.uid,
+          recurrence: data.recurrence.trim(),
+          timeZone: data.timeZone,
+          startDateTime,
+          subscriberIds: [],
+          status: "active",
+          materializedThroughIndex: 0,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        const {occurrences, seriesUpdate} = planSeriesOccurrences(
+            seriesRef.id,
+            seriesData,
+            new Date(),
+        );
+        const eventIds = occurrences.map(({eventId}) => eventId);
+        if (eventIds.length === 0) {
+          throw new HttpsError(
+              "invalid-argument",
+              "This recurrence has no upcoming occurrences.",
+          );
+        }
+
+        await commitInBatches([
+          (batch) => batch.set(seriesRef, {...seriesData, ...seriesUpdate}),
+          ...occurrences.flatMap(({writes}) => writes),
+        ]);
+        return {success: true, seriesId: seriesRef.id, eventIds};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error creating event series:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: updateEventSeries
+//
+// With `eventId`, edits that one occurrence (its dateTime included). Without
+// it, edits the series and every upcoming occurrence whose field still
+// matches the series, so occurrences the host changed on their own keep
+// their edits. The schedule itself cannot be edited; cancel the series and
+// create a new one instead.
+exports.updateEventSeries = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {seriesId, eventId, changes} = request.data || {};
+      if (!seriesId || typeof seriesId !== "string") {
+        throw new HttpsError("invalid-argument", "seriesId is required.");
+      }
+      if (!changes || typeof changes !== "object") {
+        throw new HttpsError("invalid-argument", "changes are required.");
+      }
+      if (changes.recurrence !== undefined || changes.timeZone !== undefined ||
+          (!eventId && changes.dateTime !== undefined)) {
+        throw new HttpsError(
+            "invalid-argument",
+            "A series schedule cannot be changed. Cancel the series and " +
+              "create a new one instead.",
+        );
+      }
+      const fields = parseSeriesEventFields(changes, true);
+      if (eventId && changes.dateTime !== undefined) {
+        fields.dateTime = toDateOrNull(changes.dateTime);
+        if (!fields.dateTime) {
+          throw new HttpsError("invalid-argument", "dateTime is invalid.");
+        }
+      }
+      if (Object.keys(fields).length === 0) {
+        throw new HttpsError("invalid-argument", "changes are required.");
+      }
+
+      try {
+        const seriesDoc =
+          await getHostedEventSeries(seriesId, request.auth.uid);
+        const seriesData = seriesDoc.data() || {};
+
+        if (eventId) {
+          const eventRef = admin.firestore().collection("events").doc(eventId);
+          const eventDoc = await eventRef.get();
+          if (!eventDoc.exists || eventDoc.data().seriesId !== seriesId) {
+            throw new HttpsError("not-found", "Occurrence not found.");
+          }
+          if (eventDoc.data().status !== "upcoming") {
+            throw new HttpsError(
+                "failed-precondition",
+                "Only upcoming occurrences can be edited.",
+            );
+          }
+          await eventRef.update(fields);
+          return {success: true, updatedCount: 1};
+        }
+
+        const occurrences = await upcomingSeriesOccurrences(seriesId);
+        const writes = [(batch) => batch.update(seriesDoc.ref, fields)];
+        occurrences.forEach((doc) => {
+          const eventData = doc.data() || {};
+          const occurrenceUpdate = {};
+          Object.keys(fields).forEach((field) => {
+            if (sameSeriesFieldValue(eventData[field], seriesData[field])) {
+              occurrenceUpdate[field] = fields[field];
+            }
+          });
+          if (Object.keys(occurrenceUpdate).length > 0) {
+            writes.push((batch) => batch.update(doc.ref, occurrenceUpdate));
+          }
+        });
+
+        await commitInBatches(writes);
+        return {success: true, updatedCount: writes.length - 1};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error updating event series:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: cancelEventSeries
+//
+// With `eventId`, cancels that one occurrence; otherwise stops the series
+// and cancels every upcoming occurrence. notifyEventUpdate tells attendees.
+exports.cancelEventSeries = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {seriesId, eventId} = request.data || {};
+      if (!seriesId || typeof seriesId !== "string") {
+        throw new HttpsError("invalid-argument", "seriesId is required.");
+      }
+
+      try {
+        const seriesDoc =
+          await getHostedEventSeries(seriesId, request.auth.uid);
+        const occurrences = await upcomingSeriesOccurrences(seriesId);
+
+        if (eventId) {
+          const occurrence = occurrences.find((doc) => doc.id === eventId);
+          if (!occurrence) {
+            throw new HttpsError(
+                "not-found",
+                "No upcoming occurrence with that ID in this series.",
+            );
+          }
+          await occurrence.ref.update({status: "canceled"});
+          return {success: true, canceledCount: 1};
+        }
+
+        await commitInBatches([
+          (batch) => batch.update(seriesDoc.ref, {status: "canceled"}),
+          ...occurrences.map((doc) => (batch) =>
+            batch.update(doc.ref, {status: "canceled"})),
+        ]);
+        return {success: true, canceledCount: occurrences.length};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error canceling event series:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: joinEventSeries
+//
+// Subscribes the caller to every occurrence of a series: upcoming ones are
+// joined now (or waitlisted when full) and future ones are created with the
+// caller already attending.
+exports.joinEventSeries = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {seriesId} = request.data || {};
+      if (!seriesId || typeof seriesId !== "string") {
+        throw new HttpsError("invalid-argument", "seriesId is required.");
+      }
+
+      try {
+        const userId = request.auth.uid;
+        const seriesRef = admin.firestore()
+            .collection("eventSeries")
+            .doc(seriesId);
+        const seriesDoc = await seriesRef.get();
+        if (!seriesDoc.exists) {
+          throw new HttpsError("not-found", "Event series not found.");
+        }
+        const seriesData = seriesDoc.data() || {};
+        if (seriesData.status !== "active") {
+          throw new HttpsError(
+              "failed-precondition",
+              "This event series has ended.",
+          );
+        }
+        if (!(await canViewEvent(null, seriesData, userId)) ||
+            (seriesData.hostId !== userId &&
+              await isBlockedBetween(userId, seriesData.hostId))) {
+          throw new HttpsError("not-found", "Event series not found.");
+        }
+        if (seriesData.hostId === userId) {
+          throw new HttpsError(
+              "failed-precondition",
+              "Hosts already run every occurrence of their series.",
+          );
+        }
+
+        await seriesRef.update({
+          subscriberIds: admin.firestore.FieldValue.arrayUnion(userId),
+        });
+
+        const occurrences = [];
+        for (const doc of await upcomingSeriesOccurrences(seriesId)) {
+          const {status, waitlistPosition, promotedUserIds, eventData} =
+            await changeEventAttendance(doc.id, userId, "join");
+          await notifyPromotedAttendees(
+              doc.id,
+              eventData,
+              promotedUserIds.filter((id) => id !== userId),
+          );
+          occurrences.push({eventId: doc.id, status, waitlistPosition});
+        }
+        return {success: true, occurrences};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error joining event series:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: leaveEventSeries
+exports.leaveEventSeries = onCall(
+    {region: "us-central1", maxInstances: 3},
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError(
+            "unauthenticated",
+            "The function must be called while authenticated.",
+        );
+      }
+
+      const {seriesId} = request.data || {};
+      if (!seriesId || typeof seriesId !== "string") {
+        throw new HttpsError("invalid-argument", "seriesId is required.");
+      }
+
+      try {
+        const userId = request.auth.uid;
+        const seriesRef = admin.firestore()
+            .collection("eventSeries")
+            .doc(seriesId);
+        const seriesDoc = await seriesRef.get();
+        if (!seriesDoc.exists) {
+          throw new HttpsError("not-found", "Event series not found.");
+        }
+        if ((seriesDoc.data() || {}).hostId === userId) {
+          throw new HttpsError(
+              "failed-precondition",
+              "Hosts cannot leave their own event series.",
+          );
+        }
+
+        await seriesRef.update({
+          subscriberIds: admin.firestore.FieldValue.arrayRemove(userId),
+        });
+
+        let promotedCount = 0;
+        for (const doc of await upcomingSeriesOccurrences(seriesId)) {
+          const {promotedUserIds, eventData} =
+            await changeEventAttendance(doc.id, userId, "leave");
+          await notifyPromotedAttendees(doc.id, eventData, promotedUserIds);
+          promotedCount += promotedUserIds.length;
+        }
+        return {success: true, promotedCount};
+      } catch (error) {
+        if (error instanceof HttpsError) {
+          throw error;
+        }
+        console.error("Error leaving event series:", error);
+        throw new HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: rebuildUserStats
+//
+// Recomputes user stats counters from scratch, for one `userId` or for
+// everyone when it is omitted.
+exports.rebuildUserStats = functions.https.onCall(async (data, context) => {
+  if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only admin users can rebuild user stats.",
+    );
+  }
+
+  const userId = data && data.userId ? data.userId : null;
+  if (userId !== null && typeof userId !== "string") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "userId must be a string.",
+    );
+  }
+
+  try {
+    const stats = await rebuildUserStats(userId);
+    console.log(`Rebuilt user stats for ${stats.size} users`);
+    return {rebuiltCount: stats.size};
+  } catch (error) {
+    console.error("Error rebuilding user stats:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Cloud Function: importLandmarks
+//
+// Bulk upserts landmarks from `{format: "geojson" | "csv", content}`. With
+// `deleteMissing`, landmarks the import leaves out are deleted. With
+// `dryRun`, nothing is written and the returned diff shows what would change.
+// Each delete reports how many users visited the landmark and how many
+// check-ins it has. Deleting visited landmarks needs `force`, and then also
+// removes them from visitedLandmarkIds and deletes their check-ins; the user
+// triggers bring stats and leaderboard activity back in line.
+exports.importLandmarks = functions.https.onCall(async (data, context) => {
+  if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only admin users can import landmarks.",
+    );
+  }
+
+  const {format, content} = data || {};
+  const parse = {geojson: parseLandmarkGeoJson, csv: parseLandmarkCsv}[format];
+  if (!parse || !content) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "format must be \"geojson\" or \"csv\", with content to import.",
+    );
+  }
+
+  const {landmarks, errors} = parse(content);
+  if (landmarks.length + errors.length > LANDMARK_IMPORT_MAX_ROWS) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Imports are limited to ${LANDMARK_IMPORT_MAX_ROWS} landmarks.`,
+    );
+  }
+
+  try {
+    const landmarksRef = admin.firestore().collection("landmarks");
+    const snapshot = await landmarksRef.get();
+    const diff = diffLandmarks(
+        snapshot.docs.map((doc) => ({id: doc.id, data: doc.data()})),
+        landmarks,
+        data.deleteMissing === true,
+    );
+    const problems = errors.concat(diff.errors);
+    if (problems.length > 0) {
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          `The import has ${problems.length} invalid rows.`,
+          {errors: problems.slice(0, LANDMARK_IMPORT_MAX_ERRORS)},
+      );
+    }
+
+    const dryRun = data.dryRun === true;
+    const db = admin.firestore();
+    const dependentQueries = (id) => [
+      db.collection("users").where("visitedLandmarkIds", "array-contains", id),
+      db.collection("landmarkCheckIns").where("landmarkId", "==", id),
+    ];
+    const deletes = await Promise.all(diff.deletes.map(async (landmark) => {
+      const [visitors, checkIns] = await Promise.all(
+          dependentQueries(landmark.id).map((query) => query.count().get()));
+      return {
+        ...landmark,
+        visitorCount: visitors.data().count,
+        checkInCount: checkIns.data().count,
+      };
+    }));
+    const visitedDeletes = deletes.filter((landmark) =>
+      landmark.visitorCount > 0 || landmark.checkInCount > 0);
+    if (!dryRun && visitedDeletes.length > 0 && data.force !== true) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          `${visitedDeletes.length} landmarks to delete have visits. ` +
+            "Pass force to delete them along with their visits.",
+          {deletes: visitedDeletes},
+      );
+    }
+
+    const {FieldValue} = admin.firestore;
+    const writes = [];
+    const creates = diff.creates.map(({id, fields}) => {
+      if (dryRun) {
+        return {id, ...fields};
+      }
+      const ref = id ? landmarksRef.doc(id) : landmarksRef.doc();
+      writes.push((batch) => batch.set(ref, {
+        ...fields,
+        createdAt: FieldValue.serverTimestamp(),
+      }));
+      return {id: ref.id, ...fields};
+    });
+    diff.updates.forEach(({id, changes}) => {
+      const update = {};
+      Object.entries(changes).forEach(([field, {to}]) => {
+        update[field] = to;
+      });
+      writes.push((batch) => batch.update(landmarksRef.doc(id), update));
+    });
+    if (!dryRun) {
+      const dependents = await Promise.all(visitedDeletes.map(({id}) =>
+        Promise.all(dependentQueries(id).map((query) => query.get()))));
+      visitedDeletes.forEach(({id}, index) => {
+        const [visitors, checkIns] = dependents[index];
+        visitors.forEach((doc) => {
+          writes.push((batch) => batch.update(doc.ref, {
+            visitedLandmarkIds: FieldValue.arrayRemove(id),
+          }));
+        });
+        checkIns.forEach((doc) => {
+          writes.push((batch) => batch.delete(doc.ref));
+        });
+      });
+    }
+    diff.deletes.forEach(({id}) => {
+      writes.push((batch) => batch.delete(landmarksRef.doc(id)));
+    });
+
+    if (!dryRun) {
+      await commitInBatches(writes);
+      console.log(`Imported landmarks: ${creates.length} created, ` +
+        `${diff.updates.length} updated, ${diff.deletes.length} deleted`);
+    }
+    return {
+      dryRun,
+      creates,
+      updates: diff.updates,
+      deletes,
+      unchangedCount: diff.unchanged,
+    };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error("Error importing landmarks:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Cloud Function: exportLandmarks
+//
+// Returns the landmarks collection as a GeoJSON FeatureCollection that
+// importLandmarks accepts back.
+exports.exportLandmarks = functions.https.onCall(async (data, context) => {
+  if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only admin users can export landmarks.",
+    );
+  }
+
+  try {
+    const snapshot = await admin.firestore().collection("landmarks").get();
+    return buildLandmarkGeoJson(
+        snapshot.docs.map((doc) => ({id: doc.id, data: doc.data()})),
+    );
+  } catch (error) {
+    console.error("Error exporting landmarks:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Cloud Function: migratePhoneNumbers
+exports.migratePhoneNumbers = functions.https.onCall(async (data, context) => {
+  // Only allow admin users to run this migration
+  if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only admin users can run this migration.",
+    );
+  }
+
+  try {
+    const batch = admin.firestore().batch();
+    const usersRef = admin.firestore().collection("users");
+    const snapshot = await usersRef.get();
+    let updatedCount = 0;
+
+    console.log("Starting phone number migration...");
+
+    snapshot.forEach((doc) => {
+      const userData = doc.data();
+      if (userData.phoneNumber && !userData.hashedPhoneNumber) {
+        // Hash the phone number using the same algorithm as the client
+        const hashedPhoneNumber = hashPhoneNumberE164(userData.phoneNumber);
+
+        batch.update(doc.ref, {hashedPhoneNumber});
+        updatedCount++;
+      }
+    });
+
+    if (updatedCount > 0) {
+      await batch.commit();
+      console.log(`Successfully migrated ${updatedCount} users`);
+    } else {
+      console.log("No users needed migration");
+    }
+
+    return {migratedCount: updatedCount};
+  } catch (error) {
+    console.error("Error during migration:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Cloud Function: migrateEventGeohashes
+//
+// Backfills `geohash` on events written before indexEventGeohash existed,
+// and removes it from events that have already finished.
+exports.migrateEventGeohashes = functions.https.onCall(
+    async (data, context) => {
+      if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+        throw new functions.https.HttpsError(
+            "permission-denied",
+            "Only admin users can run this migration.",
+        );
+      }
+
+      try {
+        const snapshot = await admin.firestore().collection("events").get();
+        const writes = [];
+        snapshot.forEach((doc) => {
+          const eventData = doc.data() || {};
+          const geohash = eventGeohash(eventData);
+          if ((eventData.geohash || null) !== geohash) {
+            writes.push((batch) => batch.update(doc.ref, {
+              geohash: geohash || admin.firestore.FieldValue.delete(),
+            }));
+          }
+        });
+
+        await commitInBatches(writes);
+        console.log(`Backfilled geohashes on ${writes.length} events`);
+        return {migratedCount: writes.length};
+      } catch (error) {
+        console.error("Error during geohash migration:", error);
+        throw new functions.https.HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: migrateActivityEntries
+//
+// Backfills leaderboard activity entries for events and visited landmarks
+// recorded before the activity triggers existed. Landmark visits are dated
+// by their first check-in, or left undated (all-time only) without one.
+exports.migrateActivityEntries = functions.https.onCall(
+    async (data, context) => {
+      if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+        throw new functions.https.HttpsError(
+            "permission-denied",
+            "Only admin users can run this migration.",
+        );
+      }
+
+      try {
+        const db = admin.firestore();
+        const entriesRef = db.collection("activityEntries");
+        const [eventsSnapshot, usersSnapshot, checkInsSnapshot] =
+          await Promise.all([
+            db.collection("events").get(),
+            db.collection("users").get(),
+            db.collection("landmarkCheckIns").get(),
+          ]);
+
+        const writes = [];
+        eventsSnapshot.forEach((doc) => {
+          const occurredAt = toDateOrNull((doc.data() || {}).dateTime);
+          eventActivityEntries(doc.id, doc.data()).forEach((entry, id) => {
+            writes.push((batch) => batch.set(entriesRef.doc(id),
+                {...entry, subjectId: doc.id, occurredAt}));
+          });
+        });
+
+        const firstCheckIns = new Map();
+        checkInsSnapshot.forEach((doc) => {
+          const {userId, landmarkId, checkedInAt} = doc.data() || {};
+          const key = `${userId}_${landmarkId}`;
+          const date = toDateOrNull(checkedInAt);
+          if (date && !(firstCheckIns.get(key) <= date)) {
+            firstCheckIns.set(key, date);
+          }
+        });
+        usersSnapshot.forEach((doc) => {
+          const visited = (doc.data() || {}).visitedLandmarkIds;
+          new Set(Array.isArray(visited) ? visited : []).forEach((id) => {
+            writes.push((batch) => batch.set(
+                entriesRef.doc(activityEntryId(doc.id, "landmarkVisited", id)),
+                {
+                  userId: doc.id,
+                  type: "landmarkVisited",
+                  subjectId: id,
+                  occurredAt: firstCheckIns.get(`${doc.id}_${id}`) || null,
+                },
+            ));
+          });
+        });
+
+        await commitInBatches(writes);
+        console.log(`Backfilled ${writes.length} activity entries`);
+        return {migratedCount: writes.length};
+      } catch (error) {
+        console.error("Error during activity entry migration:", error);
+        throw new functions.https.HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Cloud Function: migrateLocationReaders
+//
+// Builds the location audience index for every user, for accounts that have
+// not changed their settings, friends or events since the index triggers
+// were deployed.
+exports.migrateLocationReaders = functions.https.onCall(
+    async (data, context) => {
+      if (!context.auth || !context.auth.token || !context.auth.token.admin) {
+        throw new functions.https.HttpsError(
+            "permission-denied",
+            "Only admin users can run this migration.",
+        );
+      }
+
+      try {
+        const usersSnapshot = await admin.firestore().collection("users").get();
+        for (const doc of usersSnapshot.docs) {
+          await rebuildLocationReaders(doc.id, doc.data() || {});
+        }
+        console.log(`Rebuilt location readers for ${usersSnapshot.size} users`);
+        return {migratedCount: usersSnapshot.size};
+      } catch (error) {
+        console.error("Error during location reader migration:", error);
+        throw new functions.https.HttpsError("internal", error.message);
+      }
+    },
+);
+
+// Firestore trigger: sync friends list to RTDB for privacy checks
+exports.syncFriendsToRTDB = functions.firestore
+    .document("users/{userId}")
+    .onWrite(async (change, context) => {
+      const userId = context.params.userId;
+      const beforeData = change.before.exists ? change.before.data() : null;
+      const afterData = change.after.exists ? change.after.data() : null;
+
+      let beforeFriendsList = [];
+      if (beforeData && Array.isArray(beforeData.friends)) {
+        beforeFriendsList = beforeData.friends;
+      }
+      let afterFriendsList = [];
+      if (afterData && Array.isArray(afterData.friends)) {
+        afterFriendsList = afterData.friends;
+      }
+
+      const beforeFriends = new Set(beforeFriendsList);
+      const afterFriends = new Set(afterFriendsList);
+
+      // Owners can edit their own friends array, so a block must win even if
+      // the blocked user is still (or again) listed as a friend.
+      const blockedUserIds = afterFriends.size > 0 ?
+        await blockedUserIdsFor(userId) : new Set();
+
+      const updates = {};
+
+      for (const friendId of afterFriends) {
+        if (blockedUserIds.has(friendId)) {
+          updates[`friends/${userId}/${friendId}`] = null;
+        } else if (!beforeFriends.has(friendId)) {
+          updates[`friends/${userId}/${friendId}`] = true;
+        }
+      }
+
+      for (const friendId of beforeFriends) {
+        if (!afterFriends.has(friendId)) {
+          updates[`friends/${userId}/${friendId}`] = null;
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return null;
+      }
+
+      await admin.database().ref().update(updates);
+      return null;
+    });
+
+// RTDB trigger: push each new notification to the recipient's devices
+exports.pushNotificationOnCreate = functions.database
+    .ref("/notifications/{userId}/{notificationId}")
+    .onCreate(async (snapshot, context) => {
+      const {userId, notificationId} = context.params;
+      const result = await sendNotificationPush({
+        userId,
+        notificationId,
+        notification: snapshot.val(),
+        messaging: admin.messaging(),
+      });
+      console.log(`Push for ${userId}/${notificationId}:`, result);
+      return null;
+    });
+
+// RTDB trigger: keep `trail_presence/{uid}` in step with the live location
+//
+// Friends read this flag instead of raw coordinates to see who is on the
+// trail. enteredAt and exitedAt record the latest transitions; a removed
+// location counts as leaving the trail.
+exports.updateTrailPresence = functions.database
+    .ref("/locations/{userId}")
+    .onWrite(async (change, context) => {
+      const presenceRef = admin.database()
+          .ref(`trail_presence/${context.params.userId}`);
+      const location = change.after.val();
+      const onTrail = isValidPoint(location) && isOnTrail(location);
+
+      const presence = (await presenceRef.get()).val() || {};
+      if (presence.onTrail === onTrail) {
+        return null;
+      }
+
+      const fixTime = location ? Number(location.timestamp) : NaN;
+      const changedAt = Number.isFinite(fixTime) ? fixTime : Date.now();
+      const update = {onTrail};
+      if (onTrail) {
+        update.enteredAt = changedAt;
+      } else if (presence.onTrail) {
+        update.exitedAt = changedAt;
+      }
+      await presenceRef.update(update);
+      return null;
+    });
+
+// RTDB trigger: add opted-in users' live locations to their history
+//
+// History points live in a ring of LOCATION_HISTORY_MAX_POINTS slots keyed
+// by the fix's time interval, so the newest fix in an interval replaces
+// older ones and a full ring overwrites its oldest slot.
+exports.recordLocationHistory = functions.database
+    .ref("/locations/{userId}")
+    .onWrite(async (change, context) => {
+      const {userId} = context.params;
+      const location = change.after.val();
+      const timestamp = location ? Number(location.timestamp) : NaN;
+      if (!isValidPoint(location) || !Number.isFinite(timestamp)) {
+        return null;
+      }
+
+      const userDoc = await admin.firestore()
+          .collection("users")
+          .doc(userId)
+          .get();
+      if (!userDoc.exists || userDoc.data().saveLocationHistory !== true) {
+        return null;
+      }
+
+      const slot = Math.floor(timestamp / LOCATION_HISTORY_INTERVAL_MS) %
+        LOCATION_HISTORY_MAX_POINTS;
+      await admin.database().ref(`location_history/${userId}/p${slot}`).set({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timestamp,
+      });
+      return null;
+    });
+
+// Scheduled job: expire stale live locations and old history points
+//
+// Only opted-in users have history (opting out or deleting the account
+// removes it), so each of them gets one query for points past the cutoff.
+exports.expireStaleLocations = functions.pubsub
+    .schedule("every 15 minutes")
+    .onRun(async () => {
+      const now = Date.now();
+      const ttlMinutes = locationTtlMinutes.value() > 0 ?
+        locationTtlMinutes.value() : LOCATION_TTL_DEFAULT_MINUTES;
+      const database = admin.database();
+      const [staleSnapshot, historyUsersSnapshot] = await Promise.all([
+        database.ref("locations")
+            .orderByChild("lastUpdated")
+            .endAt(now - ttlMinutes * 60 * 1000)
+            .get(),
+        admin.firestore()
+            .collection("users")
+            .where("saveLocationHistory", "==", true)
+            .get(),
+      ]);
+      const historySnapshots = await Promise.all(
+          historyUsersSnapshot.docs.map((doc) => database
+              .ref(`location_history/${doc.id}`)
+              .orderByChild("timestamp")
+              .endAt(now - LOCATION_HISTORY_MAX_AGE_MS)
+              .get()),
+      );
+
+      const updates = {};
+      let expiredCount = 0;
+      staleSnapshot.forEach((child) => {
+        updates[`locations/${child.key}`] = null;
+        expiredCount++;
+      });
+      historySnapshots.forEach((snapshot, index) => {
+        const userId = historyUsersSnapshot.docs[index].id;
+        snapshot.forEach((point) => {
+          updates[`location_history/${userId}/${point.key}`] = null;
+        });
+      });
+
+      if (Object.keys(updates).length > 0) {
+        await database.ref().update(updates);
+      }
+      console.log("Expired locations:", {
+        locations: expiredCount,
+        historyPoints: Object.keys(updates).length - expiredCount,
+      });
+      return null;
+    });
+
+// Scheduled job: delete expired location share links
+//
+// The endpoint already refuses expired tokens; this keeps the collection
+// small.
+exports.deleteExpiredLocationShares = functions.pubsub
+    .schedule("every 60 minutes")
+    .onRun(async () => {
+      const snapshot = await admin.firestore()
+          .collection("locationShares")
+          .where("expiresAt", "<=", new Date())
+          .get();
+      await commitInBatches(snapshot.docs.map((doc) => (batch) => {
+        batch.delete(doc.ref);
+      }));
+      console.log(`Deleted ${snapshot.size} expired location shares`);
+      return null;
+    });
+
+// Scheduled job: advance event status upcoming -> active -> completed
+//
+// The server is the single writer of time-based status changes, so every
+// client sees the same status and triggers can react to the transitions.
+// Only events whose status actually changes are written, so overlapping or
+// repeated runs are harmless. Changes are written in chunks of
+// FIRESTORE_BATCH_LIMIT, one transaction per chunk that re-reads its events,
+// so a cancel or reschedule made after the query wins.
+exports.advanceEventStatuses = functions.pubsub
+    .schedule("every 5 minutes")
+    .onRun(async () => {
+      const now = new Date();
+      const db = admin.firestore();
+      const snapshot = await db
+          .collection("events")
+          .where("status", "in", ["upcoming", "active"])
+          .where("dateTime", "<=", now)
+          .get();
+
+      const transitions = {active: 0, completed: 0};
+      const changing = snapshot.docs.filter((doc) => {
+        const eventData = doc.data() || {};
+        return eventStatusAt(eventData, now) !== eventData.status;
+      });
+      for (let i = 0; i < changing.length; i += FIRESTORE_BATCH_LIMIT) {
+        const refs = changing.slice(i, i + FIRESTORE_BATCH_LIMIT)
+            .map((doc) => doc.ref);
+        const nextStatuses = await db.runTransaction(async (transaction) => {
+          const currents = await transaction.getAll(...refs);
+          return currents.map((current) => {
+            if (!current.exists) {
+              return null;
+            }
+            const eventData = current.data() || {};
+            const nextStatus = eventStatusAt(eventData, now);
+            if (nextStatus === eventData.status) {
+              return null;
+            }
+            transaction.update(current.ref, {status: nextStatus});
+            return nextStatus;
+          });
+        });
+        nextStatuses.forEach((nextStatus) => {
+          if (nextStatus) {
+            transitions[nextStatus]++;
+          }
+        });
+      }
+
+      console.log("Advanced event statuses:", transitions);
+      return null;
+    });
+
+// Firestore trigger: notify attendees when an event's details change
+//
+// Rapid edits are coalesced per event through `event_update_state/{eventId}`:
+// within EVENT_UPDATE_COALESCE_WINDOW_MS the same notification key is
+// rewritten with the combined changes, which does not fire another push.
+// Later edits start a new notification and leave earlier ones in place.
+exports.notifyEventUpdate = functions.firestore
+    .document("events/{eventId}")
+    .onUpdate(async (change, context) => {
+      const eventId = context.params.eventId;
+      const before = change.before.data() || {};
+      const after = change.after.data() || {};
+
+      const changedFields = changedEventFields(before, after);
+      if (changedFields.length === 0) {
+        return null;
+      }
+
+      const attendeeIds = (Array.isArray(after.attendeeIds) ?
+        after.attendeeIds : []).filter((id) => id !== after.hostId);
+      if (attendeeIds.length === 0) {
+        return null;
+      }
+
+      const now = Date.now();
+      const stateRef = admin.database().ref(`event_update_state/${eventId}`);
+      const state = (await stateRef.get()).val();
+      const coalesce = state && state.notificationKey &&
+        now - state.windowStartedAt < EVENT_UPDATE_COALESCE_WINDOW_MS;
+
+      const combinedFields = coalesce ?
+        [...new Set([...(state.changedFields || []), ...changedFields])] :
+        changedFields;
+      const notificationKey = coalesce ?
+        state.notificationKey :
+        `eventUpdate_${eventId}_${now}`;
+
+      const usersRef = admin.firestore().collection("users");
+      const attendeeDocs = await Promise.all(
+          attendeeIds.map((id) => usersRef.doc(id).get()),
+      );
+
+      const updates = {};
+      const notification = buildNotification(
+          "eventUpdate",
+          after.hostId,
+          eventUpdateMessage(after, combinedFields),
+          eventId,
+      );
+      attendeeDocs.forEach((doc) => {
+        if (doc.exists && doc.data().receiveEventUpdates !== false) {
+          updates[`notifications/${doc.id}/${notificationKey}`] = notification;
+        }
+      });
+      updates[`event_update_state/${eventId}`] = {
+        notificationKey,
+        windowStartedAt: coalesce ? state.windowStartedAt : now,
+        changedFields: combinedFields,
+      };
+
+      await admin.database().ref().update(updates);
+      return null;
+    });
+
+// Firestore trigger: drop an event's update coalescing state with the event
+exports.clearEventUpdateState = functions.firestore
+    .document("events/{eventId}")
+    .onDelete(async (snapshot, context) => {
+      await admin.database()
+          .ref(`event_update_state/${context.params.eventId}`)
+          .remove();
+      return null;
+    });
+
+// Firestore trigger: keep each event's geohash in step with its location
+//
+// findNearbyEvents range-queries on `geohash`. Host edits replace the whole
+// event document, so a missing or stale value is simply recomputed, and the
+// value is removed once the event is completed or canceled.
+exports.indexEventGeohash = functions.firestore
+    .document("events/{eventId}")
+    .onWrite(async (change) => {
+      if (!change.after.exists) {
+        return null;
+      }
+
+      const eventData = change.after.data() || {};
+      const geohash = eventGeohash(eventData);
+      if ((eventData.geohash || null) === geohash) {
+        return null;
+      }
+
+      await change.after.ref.update({
+        geohash: geohash || admin.firestore.FieldValue.delete(),
+      });
+      return null;
+    });
+
+// Scheduled job: create the next occurrences of every active event series
+//
+// Series are handled one at a time, so one that fails does not hold back the
+// others.
+exports.materializeEventSeries = functions.pubsub
+    .schedule("every 6 hours")
+    .onRun(async () => {
+      const now = new Date();
+      const snapshot = await admin.firestore()
+          .collection("eventSeries")
+          .where("status", "==", "active")
+          .get();
+
+      let occurrencesCreated = 0;
+      for (const doc of snapshot.docs) {
+        try {
+          occurrencesCreated += await materializeSeriesOccurrences(doc, now);
+        } catch (error) {
+          console.error("Error materializing event series:", doc.id, error);
+        }
+      }
+      console.log("Materialized event series:", {
+        series: snapshot.size,
+        occurrencesCreated,
+      });
+      return null;
+    });
+
+// Firestore trigger: keep a user's friend and landmark counters current
+exports.updateUserStatsFromUser = functions.firestore
+    .document("users/{userId}")
+    .onWrite(async (change, context) => {
+      const statsRef = admin.firestore()
+          .collection("userStats")
+          .doc(context.params.userId);
+      if (!change.after.exists) {
+        await statsRef.delete();
+        return null;
+      }
+
+      const after = userDocumentStats(change.after.data() || {});
+      const before = change.before.exists ?
+        userDocumentStats(change.before.data() || {}) : null;
+      if (before && before.friendCount === after.friendCount &&
+          before.visitedLandmarkCount === after.visitedLandmarkCount) {
+        return null;
+      }
+
+      await statsRef.set(after, {merge: true});
+      return null;
+    });
+
+// Firestore trigger: adjust hosted and attended counters as events change
+//
+// Counters move by the difference between the event's old and new host and
+// attendees, so each write touches only the users it affects.
+// rebuildUserStats repairs any drift from retried deliveries.
+exports.updateUserStatsFromEvent = functions.firestore
+    .document("events/{eventId}")
+    .onWrite(async (change) => {
+      const before = eventStatsMembership(
+          change.before.exists ? change.before.data() : null);
+      const after = eventStatsMembership(
+          change.after.exists ? change.after.data() : null);
+
+      const deltas = new Map();
+      const adjust = (userId, field, amount) => {
+        const counters = deltas.get(userId) || {};
+        counters[field] = (counters[field] || 0) + amount;
+        deltas.set(userId, counters);
+      };
+      if (before.hostId !== after.hostId) {
+        if (before.hostId) {
+          adjust(before.hostId, "hostedEventCount", -1);
+        }
+        if (after.hostId) {
+          adjust(after.hostId, "hostedEventCount", 1);
+        }
+      }
+      before.attendeeIds.filter((id) => !after.attendeeIds.includes(id))
+          .forEach((id) => adjust(id, "attendedEventCount", -1));
+      after.attendeeIds.filter((id) => !before.attendeeIds.includes(id))
+          .forEach((id) => adjust(id, "attendedEventCount", 1));
+      if (deltas.size === 0) {
+        return null;
+      }
+
+      // Skip deleted accounts so account cleanup does not leave counters
+      // behind.
+      const db = admin.firestore();
+      const {FieldValue} = admin.firestore;
+      const userIds = [...deltas.keys()];
+      const userDocs = await Promise.all(
+          userIds.map((id) => db.collection("users").doc(id).get()),
+      );
+      const writes = [];
+      userDocs.forEach((userDoc, index) => {
+        if (!userDoc.exists) {
+          return;
+        }
+        const increments = {};
+        Object.entries(deltas.get(userIds[index])).forEach(([field, n]) => {
+          if (n !== 0) {
+            increments[field] = FieldValue.increment(n);
+          }
+        });
+        if (Object.keys(increments).length > 0) {
+          writes.push((batch) => batch.set(
+              db.collection("userStats").doc(userIds[index]),
+              increments,
+              {merge: true},
+          ));
+        }
+      });
+
+      await commitInBatches(writes);
+      return null;
+    });
+
+/**
+ * Loads the activity badges are measured against, reading only what the
+ * given badges need.
+ * @param {string} userId User to load.
+ * @param {object} userData User document data.
+ * @param {Array<object>} badges Parsed badge definitions being evaluated.
+ * @return {Promise<object>} Activity for badgeProgress.
+ */
+async function loadAchievementActivity(userId, userData, badges) {
+  const db = admin.firestore();
+  const activity = {
+    visitedLandmarkIds: Array.isArray(userData.visitedLandmarkIds) ?
+      userData.visitedLandmarkIds : [],
+    friendIds: [],
+    checkIns: [],
+    landmarkIdsByCategory: new Map(),
+    hostedEvents: [],
+    attendedEvents: [],
+  };
+
+  if (badges.some((badge) => badge.activity === "friends")) {
+    activity.friendIds = [...await mutualFriendIdsFor(userId,
+        (Array.isArray(userData.friends) ? userData.friends : [])
+            .filter((id) => id !== userId))];
+  }
+
+  if (badges.some((badge) => badge.activity === "events")) {
+    const eventsRef = db.collection("events");
+    const [hostedSnapshot, attendingSnapshot] = await Promise.all([
+      eventsRef.where("hostId", "==", userId)
+          .where("status", "==", "completed").get(),
+      eventsRef.where("attendeeIds", "array-contains", userId)
+          .where("status", "==", "completed").get(),
+    ]);
+    const eventSummary = (doc) => ({
+      eventType: doc.data().eventType || null,
+      dateTime: doc.data().dateTime,
+    });
+    activity.hostedEvents = hostedSnapshot.docs.map(eventSummary);
+    activity.attendedEvents = attendingSnapshot.docs
+        .filter((doc) => doc.data().hostId !== userId)
+        .map(eventSummary);
+  }
+
+  const categories = [...new Set(badges
+      .filter((badge) => badge.criteria.type === "landmarksInCategory")
+      .map((badge) => badge.criteria.category))];
+  const categorySnapshots = await Promise.all(categories.map((category) =>
+    db.collection("landmarks").where("category", "==", category).get()));
+  categories.forEach((category, index) => {
+    activity.landmarkIdsByCategory.set(category,
+        categorySnapshots[index].docs.map((doc) => doc.id));
+  });
+
+  if (badges.some((badge) => badge.activity === "landmarks" &&
+      (badge.startsAt || badge.endsAt))) {
+    const snapshot = await db.collection("landmarkCheckIns")
+        .where("userId", "==", userId)
+        .get();
+    activity.checkIns = snapshot.docs.map((doc) => ({
+      landmarkId: doc.data().landmarkId,
+      checkedInAt: doc.data().checkedInAt,
+    }));
+  }
+  return activity;
+}
+
+/**
+ * Awards the badges a user has newly earned into `badgeAwards` and sends a
+ * `general` notification for each. Only active, in-season badges that depend
+ * on the changed activity are evaluated.
+ * @param {string} userId User to evaluate.
+ * @param {Array<string>} activityKinds What changed: "landmarks", "events"
+ *   and/or "friends".
+ * @return {Promise<Array<string>>} IDs of the badges awarded.
+ */
+async function evaluateAchievements(userId, activityKinds) {
+  const db = admin.firestore();
+  const now = new Date();
+  const [definitionsSnapshot, awardsSnapshot, userDoc] = await Promise.all([
+    db.collection("badgeDefinitions").where("active", "==", true).get(),
+    db.collection("badgeAwards").where("userId", "==", userId).get(),
+    db.collection("users").doc(userId).get(),
+  ]);
+  if (!userDoc.exists) {
+    return [];
+  }
+
+  const heldBadgeIds = new Set(
+      awardsSnapshot.docs.map((doc) => doc.data().badgeId));
+  const badges = [];
+  definitionsSnapshot.forEach((doc) => {
+    if (heldBadgeIds.has(doc.id)) {
+      return;
+    }
+    const badge = parseBadgeDefinition(doc.data());
+    if (!badge) {
+      console.warn(`Skipping malformed badge definition ${doc.id}`);
+      return;
+    }
+    if (activityKinds.includes(badge.activity) &&
+        isBadgeInSeason(badge, now)) {
+      badges.push({id: doc.id, name: doc.data().name || doc.id, ...badge});
+    }
+  });
+  if (badges.length === 0) {
+    return [];
+  }
+
+  const activity =
+    await loadAchievementActivity(userId, userDoc.data() || {}, badges);
+  const earned = badges.filter((badge) => isBadgeEarned(badge, activity));
+  if (earned.length === 0) {
+    return [];
+  }
+
+  // Award IDs are fixed per user and badge, so a retried or concurrent
+  // trigger finds the award already there and does not notify twice.
+  const awardsRef = db.collection("badgeAwards");
+  const awarded = await db.runTransaction(async (transaction) => {
+    const awardDocs = await Promise.all(earned.map((badge) =>
+      transaction.get(awardsRef.doc(`${userId}_${badge.id}`))));
+    const newBadges = earned.filter((badge, index) =>
+      !awardDocs[index].exists);
+    newBadges.forEach((badge) => {
+      transaction.set(awardsRef.doc(`${userId}_${badge.id}`), {
+        userId,
+        badgeId: badge.id,
+        name: badge.name,
+        awardedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return newBadges;
+  });
+  if (awarded.length === 0) {
+    return [];
+  }
+
+  const updates = {};
+  awarded.forEach((badge) => {
+    const notificationId = admin.database()
+        .ref(`notifications/${userId}`)
+        .push().key;
+    updates[`notifications/${userId}/${notificationId}`] = buildNotification(
+        "general",
+        userId,
+        `You earned the '${badge.name}' badge!`,
+    );
+  });
+  await admin.database().ref().update(updates);
+  console.log(`Awarded badges to ${userId}:`,
+      awarded.map((badge) => badge.id));
+  return awarded.map((badge) => badge.id);
+}
+
+// Firestore trigger: award landmark and friend badges as users change
+//
+// Covers check-ins, which add to visitedLandmarkIds, and
+// updateFriendArrays, which changes both users' friends. Users can edit their
+// own friends list, so friend badges only count mutual friends.
+exports.awardBadgesOnUserUpdate = functions.firestore
+    .document("users/{userId}")
+    .onUpdate(async (change, context) => {
+      const before = change.before.data() || {};
+      const after = change.after.data() || {};
+      // Removals can never complete a badge, so only additions count.
+      const gained = (field) => {
+        const previous = new Set(Array.isArray(before[field]) ?
+          before[field] : []);
+        return Array.isArray(after[field]) &&
+          after[field].some((id) => !previous.has(id));
+      };
+
+      const activityKinds = [];
+      if (gained("visitedLandmarkIds")) {
+        activityKinds.push("landmarks");
+      }
+      if (gained("friends")) {
+        activityKinds.push("friends");
+      }
+      if (activityKinds.length > 0) {
+        await evaluateAchievements(context.params.userId, activityKinds);
+      }
+      return null;
+    });
+
+// Firestore trigger: award event badges when an event completes
+exports.awardBadgesOnEventComplete = functions.firestore
+    .document("events/{eventId}")
+    .onUpdate(async (change) => {
+      const before = change.before.data() || {};
+      const after = change.after.data() || {};
+      if (before.status === "completed" || after.status !== "completed") {
+        return null;
+      }
+
+      const userIds = new Set([after.hostId,
+        ...(Array.isArray(after.attendeeIds) ? after.attendeeIds : [])]
+          .filter(Boolean));
+      await Promise.all([...userIds].map(
+          (userId) => evaluateAchievements(userId, ["events"])));
+      return null;
+    });
+
+// Firestore trigger: record dated landmark visits for the leaderboard
+exports.recordLandmarkActivity = functions.firestore
+    .document("users/{userId}")
+    .onUpdate(async (change, context) => {
+      const {userId} = context.params;
+      const visited = (snapshot) => {
+        const ids = (snapshot.data() || {}).visitedLandmarkIds;
+        return new Set(Array.isArray(ids) ? ids : []);
+      };
+      const before = visited(change.before);
+      const after = visited(change.after);
+
+      const entriesRef = admin.firestore().collection("activityEntries");
+      const entryRef = (landmarkId) => entriesRef.doc(
+          activityEntryId(userId, "landmarkVisited", landmarkId));
+      const writes = [];
+      after.forEach((landmarkId) => {
+        if (!before.has(landmarkId)) {
+          writes.push((batch) => batch.set(entryRef(landmarkId), {
+            userId,
+            type: "landmarkVisited",
+            subjectId: landmarkId,
+            occurredAt: admin.firestore.FieldValue.serverTimestamp(),
+          }));
+        }
+      });
+      before.forEach((landmarkId) => {
+        if (!after.has(landmarkId)) {
+          writes.push((batch) => batch.delete(entryRef(landmarkId)));
+        }
+      });
+
+      await commitInBatches(writes);
+      return null;
+    });
+
+// Firestore trigger: record dated hosted and attended events for the
+// leaderboard
+//
+// Entries are dated by the event's dateTime, so an event counts toward the
+// period it took place in, and move with it when it is rescheduled.
+exports.recordEventActivity = functions.firestore
+    .document("events/{eventId}")
+    .onWrite(async (change, context) => {
+      const {eventId} = context.params;
+      const beforeData = change.before.exists ? change.before.data() : null;
+      const afterData = change.after.exists ? change.after.data() : null;
+      const before = eventActivityEntries(eventId, beforeData);
+      const after = eventActivityEntries(eventId, afterData);
+      const startTime = (eventData) => {
+        const date = eventData ? toDateOrNull(eventData.dateTime) : null;
+        return date ? date.getTime() : null;
+      };
+      const rescheduled = startTime(beforeData) !== startTime(afterData);
+
+      const entriesRef = admin.firestore().collection("activityEntries");
+      const occurredAt = afterData ? toDateOrNull(afterData.dateTime) : null;
+      const writes = [];
+      after.forEach((entry, id) => {
+        if (rescheduled || !before.has(id)) {
+          writes.push((batch) => batch.set(entriesRef.doc(id),
+              {...entry, subjectId: eventId, occurredAt}));
+        }
+      });
+      before.forEach((entry, id) => {
+        if (!after.has(id)) {
+          writes.push((batch) => batch.delete(entriesRef.doc(id)));
+        }
+      });
+
+      await commitInBatches(writes);
+      return null;
+    });
+
+// Firestore trigger: delete location history when a user opts out
+exports.clearLocationHistoryOnOptOut = functions.firestore
+    .document("users/{userId}")
+    .onUpdate(async (change, context) => {
+      if (change.before.data().saveLocationHistory !== true ||
+          change.after.data().saveLocationHistory === true) {
+        return null;
+      }
+      await admin.database()
+          .ref(`location_history/${context.params.userId}`)
+          .remove();
+      return null;
+    });
+
+/**
+ * Rebuilds `locationReaders/{userId}`, the users allowed to read the user's
+ * live location and trail presence. Friends are readers while
+ * shareLocationWithFriends is on; during an event the user hosts or attends
+ * that is in its time window, the host is a reader while
+ * shareLocationWithEventHost is on and the other attendees while
+ * shareLocationWithEventGroup is on. Settings default to on, and blocked
+ * users in either direction are never readers.
+ * @param {string} userId User whose audience to rebuild.
+ * @param {object|null} userData User document data, or null when the user
+ *   no longer exists.
+ * @return {Promise<Array<string>>} Reader UIDs written to the index.
+ */
+async function rebuildLocationReaders(userId, userData) {
+  const indexRef = admin.database().ref(`locationReaders/${userId}`);
+  if (!userData) {
+    await indexRef.remove();
+    return [];
+  }
+
+  const eventsRef = admin.firestore().collection("events");
+  const openStatuses = ["upcoming", "active"];
+  const [attendingSnapshot, hostingSnapshot, blockedUserIds] =
+    await Promise.all([
+      eventsRef.where("attendeeIds", "array-contains", userId)
+          .where("status", "in", openStatuses)
+          .get(),
+      eventsRef.where("hostId", "==", userId)
+          .where("status", "in", openStatuses)
+          .get(),
+      blockedUserIdsFor(userId),
+    ]);
+
+  const readerIds = new Set();
+  if (userData.shareLocationWithFriends !== false &&
+      Array.isArray(userData.friends)) {
+    userData.friends.forEach((friendId) => readerIds.add(friendId));
+  }
+
+  const now = new Date();
+  const seenEventIds = new Set();
+  [...attendingSnapshot.docs, ...hostingSnapshot.docs].forEach((doc) => {
+    const eventData = doc.data() || {};
+    if (seenEventIds.has(doc.id) ||
+        eventStatusAt(eventData, now) !== "active") {
+      return;
+    }
+    seenEventIds.add(doc.id);
+    if (eventData.hostId && userData.shareLocationWithEventHost !== false) {
+      readerIds.add(eventData.hostId);
+    }
+    if (userData.shareLocationWithEventGroup !== false &&
+        Array.isArray(eventData.attendeeIds)) {
+      eventData.attendeeIds.forEach((attendeeId) => {
+        if (attendeeId !== eventData.hostId) {
+          readerIds.add(attendeeId);
+        }
+      });
+    }
+  });
+
+  readerIds.delete(userId);
+  blockedUserIds.forEach((blockedUserId) => readerIds.delete(blockedUserId));
+  const readers = {};
+  readerIds.forEach((readerId) => {
+    readers[readerId] = true;
+  });
+  await indexRef.set(readers);
+  return [...readerIds];
+}
+
+// Firestore trigger: rebuild a user's location audience when their sharing
+// settings or friends change
+exports.updateLocationReadersFromUser = functions.firestore
+    .document("users/{userId}")
+    .onWrite(async (change, context) => {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+      const audienceKey = (userData) => userData ? JSON.stringify([
+        userData.shareLocationWithFriends !== false,
+        userData.shareLocationWithEventHost !== false,
+        userData.shareLocationWithEventGroup !== false,
+        [...new Set(Array.isArray(userData.friends) ?
+          userData.friends : [])].sort(),
+      ]) : null;
+      if (audienceKey(before) === audienceKey(after)) {
+        return null;
+      }
+
+      await rebuildLocationReaders(context.params.userId, after);
+      return null;
+    });
+
+// Firestore trigger: rebuild the location audience of everyone in an event
+// that is or was in its time window when its host, attendees or schedule
+// change
+//
+// advanceEventStatuses writes the upcoming -> active -> completed
+// transitions, so the index follows the event's time window.
+exports.updateLocationReadersFromEvent = functions.firestore
+    .document("events/{eventId}")
+    .onWrite(async (change) => {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+      const now = new Date();
+      const inWindow = (eventData) => Boolean(eventData) &&
+        (eventData.status === "active" ||
+          eventStatusAt(eventData, now) === "active");
+      if (!inWindow(before) && !inWindow(after)) {
+        return null;
+      }
+
+      const participants = (eventData) => eventData ?
+        [eventData.hostId, ...(Array.isArray(eventData.attendeeIds) ?
+          eventData.attendeeIds : [])].filter(Boolean) : [];
+      const audienceKey = (eventData) => {
+        if (!eventData) {
+          return null;
+        }
+        const start = toDateOrNull(eventData.dateTime);
+        return JSON.stringify([
+          eventData.hostId || null,
+          [...new Set(participants(eventData))].sort(),
+          eventData.status || null,
+          start ? start.getTime() : null,
+          eventDurationMs(eventData),
+        ]);
+      };
+      if (audienceKey(before) === audienceKey(after)) {
+        return null;
+      }
+
+      const userIds = [...new Set([...participants(before),
+        ...participants(after)])];
+      const usersRef = admin.firestore().collection("users");
+      await Promise.all(userIds.map(async (userId) => {
+        const userDoc = await usersRef.doc(userId).get();
+        if (userDoc.exists) {
+          await rebuildLocationReaders(userId, userDoc.data() || {});
+        }
+      }));
       return null;
     });
@@ -0,0 +1,298 @@
+// Landmark import and export for admin tooling. Imports accept a GeoJSON
+// FeatureCollection of Points or CSV with a header row; both become the same
+// landmark records, which are diffed against the collection before writing.
+
+const {isValidPoint} = require("./geo");
+
+// Optional string fields copied between landmark documents and import rows.
+const LANDMARK_TEXT_FIELDS = ["description", "category", "imageURL"];
+
+// Every field an import can set, in the order diffs report them.
+const LANDMARK_FIELDS = ["name", "latitude", "longitude",
+  ...LANDMARK_TEXT_FIELDS];
+
+/**
+ * Builds a landmark record from loosely typed input, collecting problems.
+ * @param {object} values Raw id, name, latitude, longitude and text fields.
+ * @param {string} label Row description used in error messages.
+ * @param {Array<string>} errors Receives validation messages.
+ * @return {object|null} {id, fields}, or null when the row is invalid.
+ */
+function landmarkRecord(values, label, errors) {
+  const name = typeof values.name === "string" ? values.name.trim() : "";
+  if (!name) {
+    errors.push(`${label}: name is required.`);
+    return null;
+  }
+
+  const toNumber = (value) => typeof value === "string" && value.trim() ?
+    Number(value) : value;
+  const point = {
+    latitude: toNumber(values.latitude),
+    longitude: toNumber(values.longitude),
+  };
+  if (!isValidPoint(point)) {
+    errors.push(`${label}: latitude and longitude must be valid coordinates.`);
+    return null;
+  }
+
+  const fields = {name, ...point};
+  LANDMARK_TEXT_FIELDS.forEach((field) => {
+    const value = values[field];
+    if (typeof value === "string" && value.trim()) {
+      fields[field] = value.trim();
+    }
+  });
+
+  const id = values.id === undefined || values.id === null ?
+    "" : String(values.id).trim();
+  if (id.includes("/")) {
+    errors.push(`${label}: id cannot contain "/".`);
+    return null;
+  }
+  return {id: id || null, fields};
+}
+
+/**
+ * Reads landmarks from a GeoJSON FeatureCollection of Point features. The
+ * feature `id` (or `properties.id`) is the document ID.
+ * @param {*} collection Parsed GeoJSON, or a JSON string of it.
+ * @return {object} {landmarks, errors}.
+ */
+function parseLandmarkGeoJson(collection) {
+  let parsed = collection;
+  if (typeof collection === "string") {
+    try {
+      parsed = JSON.parse(collection);
+    } catch (error) {
+      return {landmarks: [], errors: ["GeoJSON is not valid JSON."]};
+    }
+  }
+  if (!parsed || parsed.type !== "FeatureCollection" ||
+      !Array.isArray(parsed.features)) {
+    return {landmarks: [], errors: ["Expected a GeoJSON FeatureCollection."]};
+  }
+
+  const errors = [];
+  const landmarks = [];
+  parsed.features.forEach((feature, index) => {
+    const label = `Feature ${index + 1}`;
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== "Point" ||
+        !Array.isArray(geometry.coordinates)) {
+      errors.push(`${label}: geometry must be a Point.`);
+      return;
+    }
+    const properties = feature.properties || {};
+    const [longitude, latitude] = geometry.coordinates;
+    const record = landmarkRecord({
+      ...properties,
+      id: feature.id !== undefined ? feature.id : properties.id,
+      latitude,
+      longitude,
+    }, label, errors);
+    if (record) {
+      landmarks.push(record);
+    }
+  });
+  return {landmarks, errors};
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks).
+ * @param {string} text CSV text.
+ * @return {Array<Array<string>>|null} Rows, or null for an unterminated
+ *   quoted field.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+    if (quoted) {
+      if (character === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (character === "\"") {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === "\"") {
+      quoted = true;
+    } else if (character === ",") {
+      row.push(field);
+      field = "";
+    } else if (character === "\n" || character === "\r") {
+      if (character === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += character;
+    }
+  }
+  if (quoted) {
+    return null;
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * Reads landmarks from CSV with a header row naming the columns: name,
+ * latitude and longitude are required; id, description, category and
+ * imageURL are optional.
+ * @param {*} text CSV text.
+ * @return {object} {landmarks, errors}.
+ */
+function parseLandmarkCsv(text) {
+  const rows = typeof text === "string" ?
+    parseCsvRows(text.replace(/^\uFEFF/, "")) : null;
+  if (!rows) {
+    return {landmarks: [], errors: ["CSV could not be parsed."]};
+  }
+  if (rows.length === 0) {
+    return {landmarks: [], errors: ["CSV has no header row."]};
+  }
+
+  const header = rows[0].map((column) => column.trim());
+  const missing = ["name", "latitude", "longitude"]
+      .filter((column) => !header.includes(column));
+  if (missing.length > 0) {
+    return {
+      landmarks: [],
+      errors: [`CSV header is missing ${missing.join(", ")}.`],
+    };
+  }
+
+  const errors = [];
+  const landmarks = [];
+  rows.slice(1).forEach((cells, index) => {
+    const values = {};
+    header.forEach((column, columnIndex) => {
+      values[column] = cells[columnIndex];
+    });
+    // Row numbers count the header, matching what spreadsheets show.
+    const record = landmarkRecord(values, `Row ${index + 2}`, errors);
+    if (record) {
+      landmarks.push(record);
+    }
+  });
+  return {landmarks, errors};
+}
+
+/**
+ * Compares imported landmarks with the collection. Rows with an id update
+ * that document; rows without one update the landmark with the same name
+ * (ignoring case) or create a new one.
+ * @param {Array<object>} existing Current landmarks as {id, data}.
+ * @param {Array<object>} incoming Parsed landmarks as {id, fields}.
+ * @param {boolean} deleteMissing Delete landmarks the import leaves out.
+ * @return {object} {creates, updates, deletes, unchanged, errors}: creates
+ *   as {id, fields} (id null for a generated ID), updates as {id, changes}
+ *   with {from, to} per changed field, deletes as {id, name}.
+ */
+function diffLandmarks(existing, incoming, deleteMissing) {
+  const byId = new Map(existing.map((landmark) => [landmark.id, landmark]));
+  const byName = new Map();
+  existing.forEach((landmark) => {
+    const name = String((landmark.data || {}).name || "").toLowerCase();
+    if (name && !byName.has(name)) {
+      byName.set(name, landmark);
+    }
+  });
+
+  const diff = {creates: [], updates: [], deletes: [], unchanged: 0,
+    errors: []};
+  const matchedIds = new Set();
+  incoming.forEach(({id, fields}) => {
+    const match = id ? byId.get(id) :
+      byName.get(fields.name.toLowerCase());
+    const key = id || (match ? match.id : `name:${fields.name.toLowerCase()}`);
+    if (matchedIds.has(key)) {
+      diff.errors.push(`${fields.name}: appears more than once.`);
+      return;
+    }
+    matchedIds.add(key);
+
+    if (!match) {
+      diff.creates.push({id, fields});
+      return;
+    }
+    const current = match.data || {};
+    const changes = {};
+    LANDMARK_FIELDS.forEach((field) => {
+      if (fields[field] !== undefined && fields[field] !== current[field]) {
+        changes[field] = {
+          from: current[field] === undefined ? null : current[field],
+          to: fields[field],
+        };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      diff.updates.push({id: match.id, changes});
+    } else {
+      diff.unchanged++;
+    }
+  });
+
+  if (deleteMissing) {
+    existing.forEach((landmark) => {
+      if (!matchedIds.has(landmark.id)) {
+        diff.deletes.push({
+          id: landmark.id,
+          name: (landmark.data || {}).name || "",
+        });
+      }
+    });
+  }
+  return diff;
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection from landmark documents, in the form
+ * parseLandmarkGeoJson reads back.
+ * @param {Array<object>} landmarks Landmarks as {id, data}.
+ * @return {object} GeoJSON FeatureCollection.
+ */
+function buildLandmarkGeoJson(landmarks) {
+  return {
+    type: "FeatureCollection",
+    features: landmarks
+        .filter(({data}) => isValidPoint(data || {}))
+        .map(({id, data}) => {
+          const properties = {name: data.name || ""};
+          LANDMARK_TEXT_FIELDS.forEach((field) => {
+            if (typeof data[field] === "string" && data[field]) {
+              properties[field] = data[field];
+            }
+          });
+          return {
+            type: "Feature",
+            id,
+            geometry: {
+              type: "Point",
+              coordinates: [data.longitude, data.latitude],
+            },
+            properties,
+          };
+        }),
+  };
+}
+
+module.exports = {
+  parseLandmarkGeoJson,
+  parseLandmarkCsv,
+  diffLandmarks,
+  buildLandmarkGeoJson,
+};
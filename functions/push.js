@@ -0,0 +1,147 @@
+const admin = require("firebase-admin");
+
+// User setting that must be enabled for each notification type to be pushed.
+// Types without an entry (general) are pushed unless Do Not Disturb is on.
+const PUSH_PREFERENCE_BY_TYPE = {
+  friendRequest: "receiveFriendRequests",
+  friendAccepted: "receiveFriendRequests",
+  eventInvite: "receiveFriendEvents",
+  eventUpdate: "receiveEventUpdates",
+};
+
+// Titles match NotificationDataProvider.getTitleForNotificationType in the app.
+const PUSH_TITLE_BY_TYPE = {
+  friendRequest: "New Friend Request",
+  friendAccepted: "Friend Request Accepted",
+  eventInvite: "New Event Invitation",
+  eventUpdate: "Event Update",
+  general: "Notification",
+};
+
+// FCM error codes meaning the token will never work again.
+const INVALID_TOKEN_ERROR_CODES = new Set([
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+]);
+
+/**
+ * Decides whether a notification should be pushed to a user's devices.
+ * Settings default to enabled, matching the User model.
+ * @param {object} userData Recipient's Firestore user document data.
+ * @param {string} type NotificationType raw value.
+ * @return {boolean} True when the recipient wants this push.
+ */
+function shouldPushNotification(userData, type) {
+  if (userData.doNotDisturb === true) {
+    return false;
+  }
+  const preference = PUSH_PREFERENCE_BY_TYPE[type];
+  return !preference || userData[preference] !== false;
+}
+
+/**
+ * Builds the FCM multicast message for an RTDB notification.
+ * @param {string} notificationId RTDB notification key.
+ * @param {object} notification RTDB notification payload.
+ * @param {Array<string>} tokens Device registration tokens.
+ * @return {object} MulticastMessage for sendEachForMulticast.
+ */
+function buildPushMessage(notificationId, notification, tokens) {
+  const data = {
+    notificationId,
+    type: notification.type,
+    fromUserId: notification.fromUserId || "",
+  };
+  if (notification.relatedEventId) {
+    data.relatedEventId = notification.relatedEventId;
+  }
+
+  return {
+    tokens,
+    notification: {
+      title: PUSH_TITLE_BY_TYPE[notification.type] ||
+        PUSH_TITLE_BY_TYPE.general,
+      body: notification.content || "",
+    },
+    data,
+    apns: {payload: {aps: {sound: "default"}}},
+  };
+}
+
+/**
+ * Pushes an RTDB notification to every device registered under
+ * `device_tokens/{userId}` and prunes tokens FCM reports as invalid.
+ * @param {object} params Delivery parameters.
+ * @param {string} params.userId Recipient UID.
+ * @param {string} params.notificationId RTDB notification key.
+ * @param {object} params.notification RTDB notification payload.
+ * @param {object} params.messaging FCM client exposing sendEachForMulticast,
+ *   normally admin.messaging().
+ * @return {Promise<object>} Delivery summary: sent and failed counts, pruned
+ *   token keys, or the reason nothing was sent.
+ */
+async function sendNotificationPush({
+  userId,
+  notificationId,
+  notification,
+  messaging,
+}) {
+  if (!notification || typeof notification.type !== "string") {
+    return {skipped: "invalid-notification"};
+  }
+
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  if (!userDoc.exists) {
+    return {skipped: "no-user"};
+  }
+  if (!shouldPushNotification(userDoc.data() || {}, notification.type)) {
+    return {skipped: "preferences"};
+  }
+
+  const tokensSnapshot =
+    await admin.database().ref(`device_tokens/${userId}`).get();
+  const tokenKeys = [];
+  const tokens = [];
+  tokensSnapshot.forEach((child) => {
+    const token = child.child("token").val();
+    if (typeof token === "string" && token && !tokens.includes(token)) {
+      tokenKeys.push(child.key);
+      tokens.push(token);
+    }
+  });
+  if (tokens.length === 0) {
+    return {skipped: "no-tokens"};
+  }
+
+  const response = await messaging.sendEachForMulticast(
+      buildPushMessage(notificationId, notification, tokens),
+  );
+
+  const prunedTokenKeys = [];
+  response.responses.forEach((result, index) => {
+    if (!result.success && result.error &&
+        INVALID_TOKEN_ERROR_CODES.has(result.error.code)) {
+      prunedTokenKeys.push(tokenKeys[index]);
+    }
+  });
+
+  if (prunedTokenKeys.length > 0) {
+    const updates = {};
+    prunedTokenKeys.forEach((key) => {
+      updates[`device_tokens/${userId}/${key}`] = null;
+    });
+    await admin.database().ref().update(updates);
+  }
+
+  return {
+    sent: response.successCount,
+    failed: response.failureCount,
+    pruned: prunedTokenKeys,
+  };
+}
+
+module.exports = {
+  shouldPushNotification,
+  buildPushMessage,
+  sendNotificationPush,
+};
@@ -0,0 +1,222 @@
+// Recurrence rules for event series: a subset of RFC 5545 RRULE with
+// FREQ=DAILY or FREQ=WEEKLY, BYDAY, COUNT and UNTIL. Occurrences keep the
+// series start's wall-clock time in its time zone, so a 7am run stays at 7am
+// across daylight saving changes.
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const wallClockFormatters = new Map();
+
+/**
+ * Returns a cached formatter that splits instants into wall-clock parts.
+ * @param {string} timeZone IANA time zone name.
+ * @return {Intl.DateTimeFormat} Formatter for the zone.
+ */
+function wallClockFormatter(timeZone) {
+  if (!wallClockFormatters.has(timeZone)) {
+    wallClockFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return wallClockFormatters.get(timeZone);
+}
+
+/**
+ * Checks that a time zone name is one the runtime knows.
+ * @param {*} timeZone Candidate IANA time zone name.
+ * @return {boolean} True when the zone can be used for expansion.
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+  try {
+    wallClockFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a time zone.
+ * @param {Date} date Instant to convert.
+ * @param {string} timeZone IANA time zone name.
+ * @return {object} year, month (1-12), day, hour, minute and second.
+ */
+function wallClock(date, timeZone) {
+  const parts = {};
+  wallClockFormatter(timeZone).formatToParts(date).forEach(({type, value}) => {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant. Times skipped by a
+ * daylight saving jump resolve to the same offset as the moment before it.
+ * @param {object} parts year, month (1-12), day, hour, minute and second.
+ * @param {string} timeZone IANA time zone name.
+ * @return {Date} The matching instant.
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day,
+      parts.hour, parts.minute, parts.second);
+  const offsetAt = (timestamp) => {
+    const local = wallClock(new Date(timestamp), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day,
+        local.hour, local.minute, local.second) -
+      Math.floor(timestamp / 1000) * 1000;
+  };
+
+  const offset = offsetAt(asUtc);
+  const corrected = offsetAt(asUtc - offset);
+  return new Date(asUtc - (corrected === offset ? offset : corrected));
+}
+
+/**
+ * Parses an UNTIL value: a UTC date-time (20261231T235959Z) or a date
+ * (20261231), which includes every occurrence on that local day.
+ * @param {string} value UNTIL value from the rule.
+ * @return {object|null} {instant} or {date: "YYYYMMDD"}, null when invalid.
+ */
+function parseUntil(value) {
+  const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
+  if (dateTime) {
+    const [year, month, day, hour, minute, second] =
+      dateTime.slice(1).map(Number);
+    const instant = new Date(
+        Date.UTC(year, month - 1, day, hour, minute, second));
+    return isNaN(instant.getTime()) ? null : {instant};
+  }
+  return /^\d{8}$/.test(value) ? {date: value} : null;
+}
+
+/**
+ * Parses a recurrence rule, with or without the leading "RRULE:".
+ * @param {*} rule Rule string such as "FREQ=WEEKLY;BYDAY=TU,SA;COUNT=20".
+ * @return {object|null} {freq, byDay, count, until}, or null when the rule
+ *   is malformed or uses parts outside the supported subset.
+ */
+function parseRecurrenceRule(rule) {
+  if (typeof rule !== "string" || !rule.trim()) {
+    return null;
+  }
+
+  const parsed = {freq: null, byDay: [], count: null, until: null};
+  const parts = rule.trim().replace(/^RRULE:/i, "").split(";");
+  for (const part of parts) {
+    const [name, value, extra] = part.split("=");
+    if (!value || extra !== undefined) {
+      return null;
+    }
+    switch (name.toUpperCase()) {
+      case "FREQ":
+        if (!["DAILY", "WEEKLY"].includes(value.toUpperCase())) {
+          return null;
+        }
+        parsed.freq = value.toUpperCase();
+        break;
+      case "BYDAY":
+        parsed.byDay = value.toUpperCase().split(",");
+        if (parsed.byDay.some((day) => !WEEKDAYS.includes(day))) {
+          return null;
+        }
+        break;
+      case "COUNT":
+        if (!/^\d+$/.test(value) || Number(value) < 1) {
+          return null;
+        }
+        parsed.count = Number(value);
+        break;
+      case "UNTIL":
+        parsed.until = parseUntil(value.toUpperCase());
+        if (!parsed.until) {
+          return null;
+        }
+        break;
+      default:
+        return null;
+    }
+  }
+
+  if (!parsed.freq || (parsed.count && parsed.until)) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Expands a series into its occurrences after a given instant. Occurrences
+ * are numbered from 1 at the series start, so the same occurrence always
+ * gets the same index however often the series is expanded.
+ * @param {object} params Expansion parameters.
+ * @param {object} params.rule Parsed rule from parseRecurrenceRule.
+ * @param {Date} params.start First occurrence's start time.
+ * @param {string} params.timeZone IANA zone that keeps the wall-clock time.
+ * @param {Date} params.after Only occurrences strictly after this are
+ *   returned.
+ * @param {number} params.limit Maximum number of occurrences to return.
+ * @return {Array<object>} Occurrences as {index, start}, in order. Fewer than
+ *   `limit` means the rule has no further occurrences.
+ */
+function nextOccurrences({rule, start, timeZone, after, limit}) {
+  const local = wallClock(start, timeZone);
+  const byDay = rule.byDay.length > 0 || rule.freq === "DAILY" ?
+    rule.byDay : [WEEKDAYS[new Date(
+        Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()]];
+
+  // Wall-clock parts carry whole seconds, so compare against the same.
+  const seriesStart = new Date(Math.floor(start.getTime() / 1000) * 1000);
+  const occurrences = [];
+  let index = 0;
+  for (let dayOffset = 0; occurrences.length < limit; dayOffset++) {
+    const day = new Date(
+        Date.UTC(local.year, local.month - 1, local.day + dayOffset));
+    if (byDay.length > 0 && !byDay.includes(WEEKDAYS[day.getUTCDay()])) {
+      continue;
+    }
+
+    const localDate = day.toISOString().slice(0, 10).replace(/-/g, "");
+    if (rule.until && rule.until.date && localDate > rule.until.date) {
+      break;
+    }
+    const occurrenceStart = zonedTimeToDate({
+      ...local,
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    }, timeZone);
+    if (occurrenceStart < seriesStart) {
+      continue;
+    }
+    if (rule.until && rule.until.instant &&
+        occurrenceStart > rule.until.instant) {
+      break;
+    }
+
+    index++;
+    if (rule.count && index > rule.count) {
+      break;
+    }
+    if (occurrenceStart > after) {
+      occurrences.push({index, start: occurrenceStart});
+    }
+  }
+  return occurrences;
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseRecurrenceRule,
+  nextOccurrences,
+};
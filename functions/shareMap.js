@@ -0,0 +1,103 @@
+// The map page behind a location share link. Viewers do not have the app or
+// an account, so the page is static: it reads the token from its own URL and
+// polls the locationShare JSON endpoint, which sits next to it.
+
+const LEAFLET_URL = "https://unpkg.com/leaflet@1.9.4/dist";
+// Subresource integrity hashes for the pinned Leaflet files. The page can see
+// the share token and the live location, so a changed CDN file must not run.
+const LEAFLET_CSS_SRI = "sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=";
+const LEAFLET_JS_SRI = "sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=";
+
+/**
+ * Builds the HTML map page for a location share link.
+ * @param {number} refreshSeconds How often the page polls for the location.
+ * @return {string} Complete HTML document.
+ */
+function buildLocationSharePage(refreshSeconds) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>TrailMates live location</title>
+<link rel="stylesheet" href="${LEAFLET_URL}/leaflet.css"
+  integrity="${LEAFLET_CSS_SRI}" crossorigin="anonymous">
+<style>
+  html, body { height: 100%; margin: 0; }
+  body { font-family: -apple-system, sans-serif; }
+  #map { position: absolute; top: 0; bottom: 3.5em; left: 0; right: 0; }
+  #status { position: absolute; bottom: 0; left: 0; right: 0; height: 3.5em;
+    display: flex; align-items: center; justify-content: center;
+    text-align: center; padding: 0 1em; box-sizing: border-box; }
+</style>
+</head>
+<body>
+<div id="map"></div>
+<div id="status">Loading…</div>
+<script src="${LEAFLET_URL}/leaflet.js"
+  integrity="${LEAFLET_JS_SRI}" crossorigin="anonymous"></script>
+<script>
+  const token = new URLSearchParams(location.search).get("token") || "";
+  const status = document.getElementById("status");
+  const map = L.map("map").setView([30.2672, -97.7431], 14);
+  L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", {
+    maxZoom: 19,
+    attribution: "&copy; OpenStreetMap contributors",
+  }).addTo(map);
+  let marker = null;
+  let timer = null;
+
+  function minutesAgo(iso) {
+    const minutes = Math.round((Date.now() - new Date(iso)) / 60000);
+    return minutes < 1 ? "just now" : minutes + " min ago";
+  }
+
+  async function refresh() {
+    let response;
+    try {
+      response = await fetch("locationShare?token=" +
+        encodeURIComponent(token), {cache: "no-store"});
+    } catch (error) {
+      status.textContent = "Can't reach TrailMates. Retrying…";
+      return;
+    }
+    if (response.status === 404 || response.status === 410) {
+      status.textContent = "This share link has expired.";
+      clearInterval(timer);
+      return;
+    }
+    if (!response.ok) {
+      status.textContent = "Can't load the location. Retrying…";
+      return;
+    }
+
+    const share = await response.json();
+    const who = share.name || "Your TrailMate";
+    if (!share.location) {
+      status.textContent = who + " isn't sharing a location right now.";
+      return;
+    }
+    const point = [share.location.latitude, share.location.longitude];
+    if (marker) {
+      marker.setLatLng(point);
+    } else {
+      marker = L.marker(point).addTo(map);
+      map.setView(point, 16);
+    }
+    status.textContent = who + " is " +
+      (share.onTrail ? "on the trail" : "off the trail") +
+      " · updated " + minutesAgo(share.location.updatedAt);
+  }
+
+  refresh();
+  timer = setInterval(refresh, ${refreshSeconds * 1000});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildLocationSharePage,
+};
@@ -0,0 +1,147 @@
+// Security rules tests. These run against the Firestore emulator and are
+// skipped without it; use `npm run test:rules` to start one and run them.
+const fs = require("fs");
+const path = require("path");
+const mocha = require("mocha");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+} = require("firebase/firestore");
+
+mocha.describe("Firestore rules: event visibility", () => {
+  let testEnv;
+
+  mocha.before(async function() {
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+      this.skip();
+    }
+    testEnv = await initializeTestEnvironment({
+      projectId: "demo-trailmates",
+      firestore: {
+        rules: fs.readFileSync(
+            path.join(__dirname, "../../firestore.rules"),
+            "utf8",
+        ),
+      },
+    });
+  });
+
+  mocha.after(async () => {
+    if (testEnv) {
+      await testEnv.cleanup();
+    }
+  });
+
+  mocha.beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "users/host"), {id: "host", friends: ["pal"]});
+      await setDoc(doc(db, "users/pal"), {id: "pal", friends: ["host"]});
+      await setDoc(doc(db, "users/stranger"), {id: "stranger", friends: []});
+      await setDoc(doc(db, "events/privateRide"), {
+        hostId: "host",
+        isPublic: false,
+        attendeeIds: [],
+        title: "Friends Ride",
+      });
+      await setDoc(doc(db, "events/publicRun"), {
+        hostId: "host",
+        isPublic: true,
+        status: "upcoming",
+        attendeeIds: [],
+        title: "Club Run",
+      });
+      await setDoc(doc(db, "eventSeries/privateLoop"), {
+        hostId: "host",
+        isPublic: false,
+        subscriberIds: ["regular"],
+        title: "Friends Loop",
+      });
+      await setDoc(doc(db, "events/privateRide/invites/guest"), {
+        userId: "guest",
+        eventId: "privateRide",
+      });
+    });
+  });
+
+  const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  mocha.it("should hide a private event from a non-friend", async () => {
+    await assertFails(getDoc(doc(firestoreAs("stranger"),
+        "events/privateRide")));
+  });
+
+  mocha.it("should show a private event to the host's friends", async () => {
+    await assertSucceeds(getDoc(doc(firestoreAs("pal"),
+        "events/privateRide")));
+  });
+
+  mocha.it("should show a private event to invitees", async () => {
+    await assertSucceeds(getDoc(doc(firestoreAs("guest"),
+        "events/privateRide")));
+  });
+
+  mocha.it("should show public events to anyone signed in", async () => {
+    await assertSucceeds(getDoc(doc(firestoreAs("stranger"),
+        "events/publicRun")));
+  });
+
+  mocha.it("should reject unfiltered event queries", async () => {
+    await assertFails(getDocs(collection(firestoreAs("stranger"), "events")));
+  });
+
+  mocha.it("should allow queries for public events", async () => {
+    await assertSucceeds(getDocs(query(
+        collection(firestoreAs("stranger"), "events"),
+        where("isPublic", "==", true),
+    )));
+  });
+
+  mocha.it("should hide a private series from a non-friend", async () => {
+    await assertFails(getDoc(doc(firestoreAs("stranger"),
+        "eventSeries/privateLoop")));
+    await assertFails(getDocs(collection(firestoreAs("stranger"),
+        "eventSeries")));
+  });
+
+  mocha.it("should show a private series to friends and subscribers",
+      async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs("pal"),
+            "eventSeries/privateLoop")));
+        await assertSucceeds(getDoc(doc(firestoreAs("regular"),
+            "eventSeries/privateLoop")));
+        await assertSucceeds(getDocs(query(
+            collection(firestoreAs("regular"), "eventSeries"),
+            where("subscriberIds", "array-contains", "regular"),
+        )));
+      });
+
+  mocha.it("should only let hosts cancel an event", async () => {
+    const hostDb = firestoreAs("host");
+    await assertFails(updateDoc(doc(hostDb, "events/publicRun"),
+        {status: "completed"}));
+    await assertSucceeds(updateDoc(doc(hostDb, "events/publicRun"),
+        {status: "canceled"}));
+    await assertFails(setDoc(doc(hostDb, "events/pastRun"),
+        {hostId: "host", isPublic: true, status: "completed"}));
+  });
+
+  mocha.it("should keep invites private to the invitee", async () => {
+    await assertSucceeds(getDoc(doc(firestoreAs("guest"),
+        "events/privateRide/invites/guest")));
+    await assertFails(getDoc(doc(firestoreAs("stranger"),
+        "events/privateRide/invites/guest")));
+  });
+});
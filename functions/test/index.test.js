@@ -2,6 +2,11 @@ const assert = require("assert");
 const sinon = require("sinon");
 const proxyquire = require("proxyquire");
 const crypto = require("crypto");
+const recurrence = require("../recurrence");
+const geo = require("../geo");
+const landmarks = require("../landmarks");
+const achievements = require("../achievements");
+const trail = require("../trail");
 const test = require("firebase-functions-test")();
 const mocha = require("mocha");
 
@@ -26,15 +31,306 @@ firestoreStub.collection.returns({
 // Create admin stub
 const authStub = {
   getUser: sinon.stub(),
+  deleteUser: sinon.stub(),
 };
 
+// Create Realtime Database stub
+const databaseStub = {
+  ref: sinon.stub(),
+};
+
+// Create Storage stub
+const storageStub = {
+  bucket: sinon.stub(),
+};
+
+// Create Messaging stub
+const messagingStub = {
+  sendEachForMulticast: sinon.stub(),
+};
+
+// FieldValue sentinels are replaced by plain markers tests can compare.
+const firestoreNamespace = Object.assign(() => firestoreStub, {
+  FieldValue: {
+    arrayUnion: (...values) => ({arrayUnion: values}),
+    arrayRemove: (...values) => ({arrayRemove: values}),
+    increment: (amount) => ({increment: amount}),
+    serverTimestamp: () => ({serverTimestamp: true}),
+    delete: () => ({delete: true}),
+  },
+});
+
 const adminStub = {
   "initializeApp": () => {},
-  "firestore": () => firestoreStub,
+  "firestore": firestoreNamespace,
   "auth": () => authStub,
+  "database": () => databaseStub,
+  "storage": () => storageStub,
+  "messaging": () => messagingStub,
   "@global": true,
 };
 
+/**
+ * Builds an RTDB DataSnapshot stand-in for a plain value.
+ * @param {*} value Snapshot value (null when the path is empty).
+ * @param {string=} key Snapshot key.
+ * @return {object} Snapshot stub.
+ */
+function rtdbSnapshot(value, key) {
+  const exists = value !== null && value !== undefined;
+  return {
+    key: key || null,
+    exists: () => exists,
+    val: () => exists ? value : null,
+    child: (childKey) => rtdbSnapshot(
+        exists && typeof value === "object" ? value[childKey] : null,
+        childKey,
+    ),
+    forEach: (callback) => {
+      if (!exists || typeof value !== "object") {
+        return false;
+      }
+      return Object.keys(value).some(
+          (childKey) => callback(rtdbSnapshot(value[childKey], childKey)),
+      );
+    },
+  };
+}
+
+/**
+ * Builds a Firestore DocumentSnapshot stand-in.
+ * @param {string} id Document ID.
+ * @param {object|null} data Document data, or null when missing.
+ * @param {object=} ref Document ref stub.
+ * @return {object} Document snapshot stub.
+ */
+function firestoreDoc(id, data, ref) {
+  return {
+    id,
+    exists: data !== null,
+    ref: ref || {id},
+    data: () => data || undefined,
+  };
+}
+
+/**
+ * Compares a document field against a Firestore query filter.
+ * @param {*} actual Field value on the document.
+ * @param {string} op Query operator.
+ * @param {*} expected Filter value.
+ * @return {boolean} True when the document matches.
+ */
+function matchesFilter(actual, op, expected) {
+  const comparable = (value) => value && value.toMillis ?
+    value.toMillis() : value instanceof Date ? value.getTime() : value;
+  switch (op) {
+    case "==": return comparable(actual) === comparable(expected);
+    case "in": return expected.includes(actual);
+    case "array-contains":
+      return Array.isArray(actual) && actual.includes(expected);
+    case "array-contains-any":
+      return Array.isArray(actual) &&
+        actual.some((value) => expected.includes(value));
+    case "<": return comparable(actual) < comparable(expected);
+    case "<=": return comparable(actual) <= comparable(expected);
+    case ">": return comparable(actual) > comparable(expected);
+    case ">=": return comparable(actual) >= comparable(expected);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+/**
+ * Serves Firestore reads from in-memory collections and records writes made
+ * through document refs, batches and transactions.
+ * @param {object} collections Map of collection path (for example `events` or
+ *   `events/run/waitlist`) to a map of document ID to document data.
+ *   Collections not listed are empty.
+ * @return {object} Write recorders: `refs` (per-path ref stubs), `batch`
+ *   and `transaction`.
+ */
+function stubFirestore(collections) {
+  const refs = {};
+  const docRef = (name, id) => {
+    const path = `${name}/${id}`;
+    if (!refs[path]) {
+      refs[path] = {
+        id,
+        path,
+        get: sinon.stub().callsFake(() => Promise.resolve(firestoreDoc(
+            id,
+            (collections[name] || {})[id] || null,
+            refs[path],
+        ))),
+        set: sinon.stub().resolves(),
+        update: sinon.stub().resolves(),
+        delete: sinon.stub().resolves(),
+        collection: (subName) => collectionStub(`${path}/${subName}`),
+      };
+    }
+    return refs[path];
+  };
+
+  const query = (names, filters, order, limit) => ({
+    where: (field, op, value) =>
+      query(names, filters.concat([[field, op, value]]), order, limit),
+    orderBy: (field, direction) =>
+      query(names, filters, [field, direction || "asc"], limit),
+    limit: (count) => query(names, filters, order, count),
+    startAt: (value) =>
+      query(names, filters.concat([[order[0], ">=", value]]), order, limit),
+    endAt: (value) =>
+      query(names, filters.concat([[order[0], "<=", value]]), order, limit),
+    count: () => ({
+      get: () => query(names, filters, order, limit).get().then(
+          (snapshot) => ({data: () => ({count: snapshot.size})})),
+    }),
+    get: () => {
+      let entries = [];
+      names.forEach((name) => {
+        const docs = collections[name] || {};
+        Object.keys(docs).forEach((id) => {
+          entries.push({name, id, data: docs[id]});
+        });
+      });
+      entries = entries.filter(({data}) => filters.every(
+          ([field, op, value]) => matchesFilter(data[field], op, value),
+      ));
+      if (order) {
+        const [field, direction] = order;
+        entries.sort((a, b) => (a.data[field] > b.data[field] ? 1 : -1) *
+          (direction === "desc" ? -1 : 1));
+      }
+      if (limit !== undefined) {
+        entries = entries.slice(0, limit);
+      }
+      const snapshots = entries.map(
+          ({name, id, data}) => firestoreDoc(id, data, docRef(name, id)),
+      );
+      return Promise.resolve({
+        empty: snapshots.length === 0,
+        size: snapshots.length,
+        docs: snapshots,
+        forEach: (callback) => snapshots.forEach(callback),
+      });
+    },
+  });
+
+  let autoIdCount = 0;
+  const collectionStub = (name) => ({
+    ...query([name], [], null, undefined),
+    doc: (id) => docRef(name, id || `auto-${++autoIdCount}`),
+  });
+
+  firestoreStub.collection.reset();
+  firestoreStub.collection.callsFake(collectionStub);
+  firestoreStub.collectionGroup = sinon.stub().callsFake((groupName) => query(
+      Object.keys(collections).filter((name) =>
+        name === groupName || name.endsWith(`/${groupName}`)),
+      [],
+      null,
+      undefined,
+  ));
+
+  const batch = {
+    create: sinon.stub(),
+    set: sinon.stub(),
+    update: sinon.stub(),
+    delete: sinon.stub(),
+    commit: sinon.stub().resolves(),
+  };
+  firestoreStub.batch = sinon.stub().returns(batch);
+
+  const transaction = {
+    get: (refOrQuery) => refOrQuery.get(),
+    getAll: (...docRefs) => Promise.all(docRefs.map((ref) => ref.get())),
+    create: sinon.stub(),
+    set: sinon.stub(),
+    update: sinon.stub(),
+    delete: sinon.stub(),
+  };
+  firestoreStub.runTransaction = sinon.stub()
+      .callsFake((callback) => callback(transaction));
+  return {refs, batch, transaction};
+}
+
+/**
+ * Stubs the default Storage bucket with the given file names.
+ * @param {Array<string>} fileNames Names of files in the bucket.
+ * @return {object} Bucket stub whose files record `delete`, `save` and
+ *   `getSignedUrl` calls. Files created through `file()` are appended to
+ *   `files`.
+ */
+function stubStorage(fileNames) {
+  const makeFile = (name) => ({
+    name,
+    delete: sinon.stub().resolves(),
+    save: sinon.stub().resolves(),
+    getSignedUrl: sinon.stub().resolves([`https://storage.test/${name}`]),
+  });
+  const files = fileNames.map(makeFile);
+  const bucket = {
+    files,
+    file: sinon.stub().callsFake((name) => {
+      const file = makeFile(name);
+      files.push(file);
+      return file;
+    }),
+    getFiles: sinon.stub().callsFake(({prefix}) => Promise.resolve([
+      files.filter((file) => file.name.startsWith(prefix || "")),
+    ])),
+  };
+  storageStub.bucket.returns(bucket);
+  return bucket;
+}
+
+/**
+ * Serves RTDB reads from an in-memory tree and records writes.
+ * @param {object} tree Nested RTDB contents keyed by path segment.
+ * @return {object} Write stubs shared by every ref: update, set and remove.
+ */
+function stubDatabase(tree) {
+  const writes = {
+    update: sinon.stub().resolves(),
+    set: sinon.stub().resolves(),
+    remove: sinon.stub().resolves(),
+  };
+  let pushCount = 0;
+
+  databaseStub.ref = sinon.stub().callsFake((path) => {
+    const value = (path || "").split("/").filter(Boolean).reduce(
+        (node, segment) => node && typeof node === "object" ?
+          node[segment] : null,
+        tree,
+    );
+    return {
+      path: path || "",
+      get: sinon.stub().resolves(rtdbSnapshot(value)),
+      orderByChild: (childKey) => {
+        const matching = (predicate) => {
+          const filtered = {};
+          Object.keys(value || {}).forEach((key) => {
+            if (value[key] && predicate(value[key][childKey])) {
+              filtered[key] = value[key];
+            }
+          });
+          return {get: sinon.stub().resolves(rtdbSnapshot(
+              Object.keys(filtered).length ? filtered : null,
+          ))};
+        };
+        return {
+          equalTo: (expected) => matching((actual) => actual === expected),
+          endAt: (max) => matching((actual) => actual <= max),
+        };
+      },
+      push: () => ({key: `push-${++pushCount}`}),
+      update: writes.update,
+      set: writes.set,
+      remove: writes.remove,
+    };
+  });
+  return writes;
+}
+
 mocha.describe("Phone Number Functions", () => {
   let functionsMock;
 
@@ -49,6 +345,10 @@ mocha.describe("Phone Number Functions", () => {
     test.cleanup();
   });
 
+  mocha.beforeEach(() => {
+    stubDatabase({});
+  });
+
   mocha.describe("findUsersByPhoneNumbers", () => {
     mocha.it("should require authentication", async () => {
       try {
@@ -530,4 +830,2787 @@ mocha.describe("Phone Number Functions", () => {
       assert(firestoreStub.collection.calledWith("users"));
     });
   });
+
+  mocha.describe("sendFriendRequest", () => {
+    const auth = {uid: "sender"};
+    const users = {
+      sender: {firstName: "Sam", lastName: "Sender", friends: []},
+      recipient: {firstName: "Rae", lastName: "Recipient", friends: []},
+    };
+
+    mocha.it("should require authentication", async () => {
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth: null,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "unauthenticated");
+      }
+    });
+
+    mocha.it("should reject requests to yourself", async () => {
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "sender"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should respect receiveFriendRequests", async () => {
+      stubFirestore({users: {
+        ...users,
+        recipient: {...users.recipient, receiveFriendRequests: false},
+      }});
+      stubDatabase({});
+
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should reject existing friends and duplicates", async () => {
+      stubFirestore({users: {
+        ...users,
+        sender: {...users.sender, friends: ["recipient"]},
+      }});
+      stubDatabase({});
+
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "already-exists");
+      }
+
+      stubFirestore({users});
+      stubDatabase({friend_requests: {recipient: {
+        req1: {fromUserId: "sender", timestamp: 1, status: "pending"},
+      }}});
+
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "already-exists");
+      }
+    });
+
+    mocha.it("should reject requests between blocked users", async () => {
+      stubFirestore({users});
+      stubDatabase({blocks: {recipient: {sender: 1}}});
+
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should throttle requests after a recent decline", async () => {
+      stubFirestore({users});
+      stubDatabase({friend_request_history: {recipient: {sender: {
+        req0: {status: "rejected", actorId: "recipient",
+          timestamp: Date.now() - 60 * 1000},
+      }}}});
+
+      try {
+        await functionsMock.sendFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth,
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "resource-exhausted");
+      }
+    });
+
+    mocha.it("should write the request and its notification", async () => {
+      stubFirestore({users});
+      const writes = stubDatabase({});
+
+      const result = await functionsMock.sendFriendRequest.run({
+        data: {toUserId: "recipient"},
+        auth,
+      });
+
+      assert.equal(result.status, "pending");
+      assert.equal(result.requestId, "push-1");
+      const updates = writes.update.firstCall.args[0];
+      const request = updates["friend_requests/recipient/push-1"];
+      const notification = updates["notifications/recipient/push-1"];
+      assert.equal(request.fromUserId, "sender");
+      assert.equal(request.status, "pending");
+      assert.equal(notification.type, "friendRequest");
+      assert.equal(notification.fromUserId, "sender");
+      assert.equal(notification.content, "Sam Sender wants to be your friend!");
+      assert.equal(notification.read, false);
+    });
+
+    mocha.it("should accept a pending reverse request", async () => {
+      const {transaction} = stubFirestore({users});
+      const writes = stubDatabase({friend_requests: {sender: {
+        req2: {fromUserId: "recipient", timestamp: 1, status: "pending"},
+      }}});
+
+      const result = await functionsMock.sendFriendRequest.run({
+        data: {toUserId: "recipient"},
+        auth,
+      });
+
+      assert.equal(result.status, "accepted");
+      assert.equal(result.friendId, "recipient");
+      assert(transaction.update.calledWith(
+          sinon.match({id: "sender"}),
+          {friends: ["recipient"]},
+      ));
+      const updates = writes.update.firstCall.args[0];
+      assert.strictEqual(updates["friend_requests/sender/req2"], null);
+      assert.strictEqual(updates["notifications/sender/req2"], null);
+      const accepted = updates["notifications/recipient/push-1"];
+      assert.equal(accepted.type, "friendAccepted");
+      assert.equal(accepted.fromUserId, "sender");
+    });
+  });
+
+  mocha.describe("acceptFriendRequest", () => {
+    mocha.it("should notify the requester in the same update", async () => {
+      const wrapped = test.wrap(functionsMock.acceptFriendRequest);
+      stubFirestore({users: {
+        accepter: {firstName: "Ada", lastName: "Accepter", friends: []},
+        requester: {firstName: "Rex", friends: []},
+      }});
+      const writes = stubDatabase({friend_requests: {accepter: {
+        req1: {fromUserId: "requester", timestamp: 1, status: "pending"},
+      }}});
+
+      const result = await wrapped(
+          {requestId: "req1"},
+          {auth: {uid: "accepter"}},
+      );
+
+      assert.equal(result.friendId, "requester");
+      assert(writes.update.calledOnce);
+      const updates = writes.update.firstCall.args[0];
+      assert.strictEqual(updates["friend_requests/accepter/req1"], null);
+      assert.strictEqual(updates["notifications/accepter/req1"], null);
+      assert.deepEqual(updates["notifications/requester/push-1"], {
+        type: "friendAccepted",
+        fromUserId: "accepter",
+        content: "Ada Accepter accepted your friend request!",
+        timestamp: updates["notifications/requester/push-1"].timestamp,
+        read: false,
+      });
+    });
+    mocha.it("should clear requests from deleted accounts", async () => {
+      const wrapped = test.wrap(functionsMock.acceptFriendRequest);
+      stubFirestore({users: {accepter: {friends: []}}});
+      const writes = stubDatabase({friend_requests: {accepter: {
+        req1: {fromUserId: "gone", timestamp: 1, status: "pending"},
+      }}});
+
+      await assert.rejects(
+          wrapped({requestId: "req1"}, {auth: {uid: "accepter"}}),
+          {code: "not-found"},
+      );
+      assert.deepEqual(writes.update.firstCall.args[0], {
+        "friend_requests/accepter/req1": null,
+        "notifications/accepter/req1": null,
+        "sent_friend_requests/gone/req1": null,
+      });
+    });
+  });
+
+  mocha.describe("declineFriendRequest", () => {
+    mocha.it("should return not-found for a missing request", async () => {
+      stubDatabase({});
+
+      try {
+        await functionsMock.declineFriendRequest.run({
+          data: {requestId: "missing"},
+          auth: {uid: "recipient"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "not-found");
+      }
+    });
+
+    mocha.it("should remove the request and record the decline", async () => {
+      const writes = stubDatabase({friend_requests: {recipient: {
+        req1: {fromUserId: "sender", timestamp: 1, status: "pending"},
+      }}});
+
+      const result = await functionsMock.declineFriendRequest.run({
+        data: {requestId: "req1"},
+        auth: {uid: "recipient"},
+      });
+
+      assert.equal(result.success, true);
+      const updates = writes.update.firstCall.args[0];
+      assert.strictEqual(updates["friend_requests/recipient/req1"], null);
+      assert.strictEqual(updates["notifications/recipient/req1"], null);
+      const history =
+        updates["friend_request_history/recipient/sender/req1"];
+      assert.equal(history.status, "rejected");
+      assert.equal(history.actorId, "recipient");
+      assert.equal(typeof history.timestamp, "number");
+    });
+  });
+
+  mocha.describe("cancelFriendRequest", () => {
+    mocha.it("should return not-found without a pending request", async () => {
+      stubDatabase({});
+
+      try {
+        await functionsMock.cancelFriendRequest.run({
+          data: {toUserId: "recipient"},
+          auth: {uid: "sender"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "not-found");
+      }
+    });
+
+    mocha.it("should withdraw the sender's pending request", async () => {
+      const writes = stubDatabase({friend_requests: {recipient: {
+        req1: {fromUserId: "sender", timestamp: 1, status: "pending"},
+      }}});
+
+      const result = await functionsMock.cancelFriendRequest.run({
+        data: {toUserId: "recipient"},
+        auth: {uid: "sender"},
+      });
+
+      assert.equal(result.requestId, "req1");
+      const updates = writes.update.firstCall.args[0];
+      assert.strictEqual(updates["friend_requests/recipient/req1"], null);
+      assert.strictEqual(updates["notifications/recipient/req1"], null);
+      const history =
+        updates["friend_request_history/recipient/sender/req1"];
+      assert.equal(history.status, "canceled");
+      assert.equal(history.actorId, "sender");
+    });
+  });
+
+  mocha.describe("blockUser", () => {
+    const users = {
+      blocker: {firstName: "Bo", friends: ["blocked"]},
+      blocked: {firstName: "Bea", friends: ["blocker"]},
+    };
+
+    mocha.it("should reject blocking yourself", async () => {
+      try {
+        await functionsMock.blockUser.run({
+          data: {userId: "blocker"},
+          auth: {uid: "blocker"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should block, unfriend and clear pending requests", async () => {
+      const {transaction} = stubFirestore({users});
+      const writes = stubDatabase({
+        friend_requests: {
+          blocker: {req1: {fromUserId: "blocked", status: "pending"}},
+          blocked: {req2: {fromUserId: "blocker", status: "pending"}},
+        },
+        notifications: {blocker: {
+          req1: {type: "friendRequest", fromUserId: "blocked"},
+          note1: {type: "eventInvite", fromUserId: "blocked"},
+          note2: {type: "eventInvite", fromUserId: "someone-else"},
+        }},
+      });
+
+      const result = await functionsMock.blockUser.run({
+        data: {userId: "blocked"},
+        auth: {uid: "blocker"},
+      });
+
+      assert.equal(result.success, true);
+      const updates = writes.update.firstCall.args[0];
+      assert.equal(typeof updates["blocks/blocker/blocked"], "number");
+      assert.equal(typeof updates["blocked_by/blocked/blocker"], "number");
+      assert.strictEqual(updates["friends/blocker/blocked"], null);
+      assert.strictEqual(updates["friends/blocked/blocker"], null);
+      assert.strictEqual(updates["friend_requests/blocker/req1"], null);
+      assert.strictEqual(updates["friend_requests/blocked/req2"], null);
+      assert.strictEqual(updates["notifications/blocked/req2"], null);
+      assert.strictEqual(updates["notifications/blocker/note1"], null);
+      assert.equal("notifications/blocker/note2" in updates, false);
+      assert(transaction.update.calledWith(
+          sinon.match({id: "blocker"}),
+          {friends: []},
+      ));
+    });
+  });
+
+  mocha.describe("unblockUser", () => {
+    mocha.it("should remove both block entries", async () => {
+      const writes = stubDatabase({blocks: {blocker: {blocked: 1}}});
+
+      await functionsMock.unblockUser.run({
+        data: {userId: "blocked"},
+        auth: {uid: "blocker"},
+      });
+
+      assert.deepEqual(writes.update.firstCall.args[0], {
+        "blocks/blocker/blocked": null,
+        "blocked_by/blocked/blocker": null,
+      });
+    });
+  });
+
+  mocha.describe("listBlockedUsers", () => {
+    mocha.it("should return public profiles of blocked users", async () => {
+      stubFirestore({users: {
+        blocked: {firstName: "Bea", phoneNumber: "+15551234567"},
+      }});
+      stubDatabase({blocks: {blocker: {blocked: 0}}});
+
+      const result = await functionsMock.listBlockedUsers.run({
+        data: {},
+        auth: {uid: "blocker"},
+      });
+
+      assert.equal(result.users.length, 1);
+      assert.equal(result.users[0].id, "blocked");
+      assert.equal(result.users[0].firstName, "Bea");
+      assert.equal(result.users[0].phoneNumber, undefined);
+      assert.equal(result.users[0].blockedAt, new Date(0).toISOString());
+    });
+  });
+
+  mocha.describe("blocked users in lookups", () => {
+    mocha.it("should hide blocked users from searchUsers", async () => {
+      stubFirestore({users: {blocked: {firstName: "Bea"}}});
+      stubDatabase({blocked_by: {searcher: {blocked: 1}}});
+
+      const result = await functionsMock.searchUsers.run({
+        data: {userId: "blocked"},
+        auth: {uid: "searcher"},
+      });
+
+      assert.equal(result.users.length, 0);
+    });
+
+    mocha.it("should drop blocked users in syncFriendsToRTDB", async () => {
+      const writes = stubDatabase({blocks: {owner: {blocked: 1}}});
+      const change = {
+        before: firestoreDoc("owner", {friends: ["blocked"]}),
+        after: firestoreDoc("owner", {friends: ["blocked", "friend"]}),
+      };
+
+      await functionsMock.syncFriendsToRTDB.run(
+          change,
+          {params: {userId: "owner"}},
+      );
+
+      assert.deepEqual(writes.update.firstCall.args[0], {
+        "friends/owner/blocked": null,
+        "friends/owner/friend": true,
+      });
+    });
+  });
+
+  mocha.describe("deleteAccount", () => {
+    const freshAuth = () => ({
+      uid: "leaver",
+      token: {auth_time: Math.floor(Date.now() / 1000)},
+    });
+
+    mocha.it("should require a recent sign-in", async () => {
+      try {
+        await functionsMock.deleteAccount.run({
+          data: {},
+          auth: {uid: "leaver", token: {auth_time: 1}},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should cascade across Firestore, RTDB and Storage", async () => {
+      const {refs, batch} = stubFirestore({
+        users: {
+          leaver: {friends: ["pal"]},
+          pal: {friends: ["leaver"]},
+          stranger: {friends: []},
+        },
+        events: {
+          soloRun: {hostId: "leaver", status: "upcoming",
+            attendeeIds: ["leaver"]},
+          groupRide: {hostId: "leaver", status: "upcoming",
+            attendeeIds: ["leaver", "pal"]},
+          palWalk: {hostId: "pal", status: "upcoming",
+            attendeeIds: ["pal", "leaver"]},
+        },
+      });
+      const writes = stubDatabase({
+        blocks: {leaver: {troll: 1}},
+        blocked_by: {leaver: {grump: 1}},
+        sent_friend_requests: {leaver: {out1: "crush"}},
+        friend_requests: {leaver: {in1: {fromUserId: "fan", timestamp: 1,
+          status: "pending"}}},
+      });
+      const bucket = stubStorage([
+        "profile_images/leaver/full.jpg",
+        "profile_images/leaver/thumb.jpg",
+        "profile_images/pal/full.jpg",
+      ]);
+      authStub.deleteUser.reset();
+      authStub.deleteUser.resolves();
+
+      const result = await functionsMock.deleteAccount.run({
+        data: {},
+        auth: freshAuth(),
+      });
+
+      assert.deepEqual(result.removed, {
+        friendsUpdated: 1,
+        eventsDeleted: 1,
+        eventsReassigned: 1,
+        eventsLeft: 1,
+        eventSeriesDeleted: 0,
+        rtdbPathsCleared: 18,
+        storageFilesDeleted: 2,
+        userDocumentDeleted: true,
+      });
+      assert(batch.update.calledWith(
+          refs["users/pal"],
+          {friends: {arrayRemove: ["leaver"]}},
+      ));
+      assert(batch.delete.calledWith(refs["events/soloRun"]));
+      assert(batch.update.calledWith(refs["events/groupRide"], {
+        hostId: "pal",
+        attendeeIds: ["pal"],
+      }));
+      assert(batch.update.calledWith(
+          refs["events/palWalk"],
+          {attendeeIds: {arrayRemove: ["leaver"]}},
+      ));
+
+      const updates = writes.update.firstCall.args[0];
+      assert.strictEqual(updates["locations/leaver"], null);
+      assert.strictEqual(updates["device_tokens/leaver"], null);
+      assert.strictEqual(updates["friends/pal/leaver"], null);
+      assert.strictEqual(updates["blocked_by/troll/leaver"], null);
+      assert.strictEqual(updates["blocks/grump/leaver"], null);
+      assert.strictEqual(updates["friend_requests/crush/out1"], null);
+      assert.strictEqual(updates["notifications/crush/out1"], null);
+      assert.strictEqual(updates["sent_friend_requests/fan/in1"], null);
+
+      assert(bucket.files[0].delete.calledOnce);
+      assert(bucket.files[2].delete.notCalled);
+      assert(refs["users/leaver"].delete.calledOnce);
+      assert(authStub.deleteUser.calledWith("leaver"));
+    });
+  });
+
+  mocha.describe("cleanupDeletedUser", () => {
+    mocha.it("should be safe to run after data is gone", async () => {
+      const {refs} = stubFirestore({});
+      stubStorage([]);
+
+      await functionsMock.cleanupDeletedUser.run({uid: "leaver"}, {});
+
+      assert(refs["users/leaver"].delete.notCalled);
+    });
+  });
+
+  mocha.describe("exportMyData", () => {
+    mocha.it("should write a versioned archive and return a URL", async () => {
+      stubFirestore({
+        users: {
+          me: {
+            firstName: "Mia",
+            phoneNumber: "+15551234567",
+            hashedPhoneNumber: "hash",
+            friends: ["pal"],
+            visitedLandmarkIds: ["bridge"],
+            receiveEventUpdates: false,
+          },
+          pal: {firstName: "Pat", phoneNumber: "+15557654321"},
+        },
+        events: {
+          myRun: {hostId: "me", title: "Run", attendeeIds: ["me"]},
+          palRide: {hostId: "pal", title: "Ride", attendeeIds: ["pal", "me"]},
+        },
+        landmarks: {
+          bridge: {name: "Pfluger Bridge", latitude: 30.26, longitude: -97.75},
+        },
+      });
+      stubDatabase({
+        notifications: {me: {n1: {type: "general", fromUserId: "pal",
+          content: "Hi", timestamp: 0, read: false}}},
+        locations: {me: {latitude: 30.26, longitude: -97.75,
+          timestamp: 0, lastUpdated: 0}},
+      });
+      const bucket = stubStorage(["exports/me/old.json"]);
+
+      const result = await functionsMock.exportMyData.run({
+        data: {},
+        auth: {uid: "me"},
+      });
+
+      assert(bucket.files[0].delete.calledOnce);
+      const file = bucket.files[1];
+      assert.equal(result.path, file.name);
+      assert.equal(result.url, `https://storage.test/${file.name}`);
+      assert(file.name.startsWith("exports/me/"));
+
+      const archive = JSON.parse(file.save.firstCall.args[0]);
+      assert.equal(archive.format, "trailmates-export");
+      assert.equal(archive.version, 1);
+      assert.equal(archive.profile.phoneNumber, "+15551234567");
+      assert.equal(archive.profile.hashedPhoneNumber, undefined);
+      assert.equal(archive.profile.receiveEventUpdates, false);
+      assert.equal(archive.friends[0].id, "pal");
+      assert.equal(archive.friends[0].phoneNumber, undefined);
+      assert.deepEqual(archive.events.hosted.map((e) => e.id), ["myRun"]);
+      assert.deepEqual(archive.events.attending.map((e) => e.id),
+          ["palRide"]);
+      assert.equal(archive.visitedLandmarks[0].name, "Pfluger Bridge");
+      assert.equal(archive.notifications[0].content, "Hi");
+      assert.deepEqual(archive.friendRequests, []);
+      assert.equal(archive.lastLocation.latitude, 30.26);
+    });
+  });
+
+  mocha.describe("pushNotificationOnCreate", () => {
+    const notification = {
+      type: "eventInvite",
+      fromUserId: "host",
+      content: "Hank Host invited you to Sunset Run!",
+      relatedEventId: "event1",
+      timestamp: 1,
+      read: false,
+    };
+
+    const trigger = (value) => functionsMock.pushNotificationOnCreate.run(
+        rtdbSnapshot(value),
+        {params: {userId: "guest", notificationId: "n1"}},
+    );
+
+    mocha.beforeEach(() => {
+      messagingStub.sendEachForMulticast.reset();
+    });
+
+    mocha.it("should skip users in Do Not Disturb", async () => {
+      stubFirestore({users: {guest: {doNotDisturb: true}}});
+      stubDatabase({device_tokens: {guest: {phone: {token: "t1"}}}});
+
+      await trigger(notification);
+
+      assert(messagingStub.sendEachForMulticast.notCalled);
+    });
+
+    mocha.it("should respect per-type preferences", async () => {
+      stubFirestore({users: {guest: {receiveFriendEvents: false}}});
+      stubDatabase({device_tokens: {guest: {phone: {token: "t1"}}}});
+
+      await trigger(notification);
+
+      assert(messagingStub.sendEachForMulticast.notCalled);
+    });
+
+    mocha.it("should push to every device and prune dead tokens", async () => {
+      stubFirestore({users: {guest: {}}});
+      const writes = stubDatabase({device_tokens: {guest: {
+        phone: {token: "t1", updatedAt: 1},
+        tablet: {token: "t2", updatedAt: 1},
+      }}});
+      messagingStub.sendEachForMulticast.resolves({
+        successCount: 1,
+        failureCount: 1,
+        responses: [
+          {success: true},
+          {success: false, error: {
+            code: "messaging/registration-token-not-registered",
+          }},
+        ],
+      });
+
+      await trigger(notification);
+
+      const message = messagingStub.sendEachForMulticast.firstCall.args[0];
+      assert.deepEqual(message.tokens, ["t1", "t2"]);
+      assert.equal(message.notification.title, "New Event Invitation");
+      assert.equal(message.notification.body, notification.content);
+      assert.equal(message.data.relatedEventId, "event1");
+      assert.deepEqual(writes.update.firstCall.args[0], {
+        "device_tokens/guest/tablet": null,
+      });
+    });
+  });
+
+  mocha.describe("inviteToEvent", () => {
+    const users = {
+      host: {firstName: "Hank", lastName: "Host",
+        friends: ["guest", "pal", "newbie", "invited"]},
+      guest: {firstName: "Gia", friends: ["host", "buddy"]},
+      pal: {friends: ["host"]},
+      newbie: {friends: ["host"]},
+      invited: {friends: ["host"]},
+      buddy: {friends: ["guest"]},
+    };
+    const events = {
+      run: {title: "Sunset Run", hostId: "host", status: "upcoming",
+        attendeeIds: ["host", "pal"]},
+      canceledRun: {title: "Rainy Run", hostId: "host", status: "canceled",
+        attendeeIds: ["host"]},
+    };
+
+    mocha.it("should reject canceled events", async () => {
+      stubFirestore({users, events});
+
+      try {
+        await functionsMock.inviteToEvent.run({
+          data: {eventId: "canceledRun", userIds: ["newbie"]},
+          auth: {uid: "host"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should block attendees when the host disallows it", async () => {
+      stubFirestore({
+        users: {...users, host: {...users.host,
+          allowFriendsToInviteOthers: false}},
+        events: {run: {...events.run, attendeeIds: ["host", "guest"]}},
+      });
+
+      try {
+        await functionsMock.inviteToEvent.run({
+          data: {eventId: "run", userIds: ["buddy"]},
+          auth: {uid: "guest"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+
+    mocha.it("should reject non-attendees", async () => {
+      stubFirestore({users, events});
+
+      try {
+        await functionsMock.inviteToEvent.run({
+          data: {eventId: "run", userIds: ["buddy"]},
+          auth: {uid: "guest"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+
+    mocha.it("should fan out invites and report per invitee", async () => {
+      stubFirestore({users, events});
+      const writes = stubDatabase({notifications: {invited: {
+        eventInvite_run: {type: "eventInvite", fromUserId: "host"},
+      }}});
+
+      const result = await functionsMock.inviteToEvent.run({
+        data: {
+          eventId: "run",
+          userIds: ["newbie", "pal", "buddy", "invited"],
+        },
+        auth: {uid: "host"},
+      });
+
+      assert.equal(result.invitedCount, 1);
+      assert.deepEqual(result.results, [
+        {userId: "newbie", status: "invited"},
+        {userId: "pal", status: "already-attending"},
+        {userId: "buddy", status: "not-friend"},
+        {userId: "invited", status: "already-invited"},
+      ]);
+      assert(writes.update.calledOnce);
+      const updates = writes.update.firstCall.args[0];
+      assert.deepEqual(Object.keys(updates),
+          ["notifications/newbie/eventInvite_run"]);
+      const invite = updates["notifications/newbie/eventInvite_run"];
+      assert.equal(invite.type, "eventInvite");
+      assert.equal(invite.fromUserId, "host");
+      assert.equal(invite.relatedEventId, "run");
+      assert.equal(invite.content, "Hank Host invited you to Sunset Run!");
+    });
+
+    mocha.it("should not invite one-sided friends", async () => {
+      stubFirestore({
+        users: {...users, host: {...users.host,
+          friends: [...users.host.friends, "stranger"]}, stranger: {}},
+        events,
+      });
+      const writes = stubDatabase({});
+
+      const result = await functionsMock.inviteToEvent.run({
+        data: {eventId: "run", userIds: ["stranger"]},
+        auth: {uid: "host"},
+      });
+
+      assert.equal(result.invitedCount, 0);
+      assert.deepEqual(result.results,
+          [{userId: "stranger", status: "not-friend"}]);
+      assert(writes.update.notCalled);
+    });
+
+    mocha.it("should record invite membership on the event", async () => {
+      const {batch} = stubFirestore({
+        "users": users,
+        "events": events,
+        "events/run/invites": {invited: {userId: "invited", eventId: "run"}},
+      });
+
+      const result = await functionsMock.inviteToEvent.run({
+        data: {eventId: "run", userIds: ["newbie", "invited"]},
+        auth: {uid: "host"},
+      });
+
+      assert.deepEqual(result.results.map((r) => r.status),
+          ["invited", "already-invited"]);
+      assert(batch.set.calledOnce);
+      assert.equal(batch.set.firstCall.args[0].path,
+          "events/run/invites/newbie");
+      assert.deepEqual(
+          {...batch.set.firstCall.args[1], invitedAt: undefined},
+          {userId: "newbie", eventId: "run", invitedBy: "host",
+            invitedAt: undefined},
+      );
+    });
+  });
+
+  mocha.describe("advanceEventStatuses", () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+    mocha.it("should advance events past their start or end", async () => {
+      const {refs, transaction} = stubFirestore({events: {
+        started: {status: "upcoming", eventType: "run",
+          dateTime: minutesAgo(10)},
+        finished: {status: "active", eventType: "run",
+          dateTime: minutesAgo(61)},
+        missed: {status: "upcoming", eventType: "walk",
+          dateTime: minutesAgo(200)},
+        longRide: {status: "active", eventType: "bike",
+          dateTime: minutesAgo(61)},
+        custom: {status: "active", eventType: "bike", durationMinutes: 30,
+          dateTime: minutesAgo(31)},
+        later: {status: "upcoming", eventType: "run",
+          dateTime: minutesAgo(-30)},
+        canceled: {status: "canceled", eventType: "run",
+          dateTime: minutesAgo(10)},
+      }});
+
+      await functionsMock.advanceEventStatuses.run({}, {});
+
+      assert.equal(transaction.update.callCount, 4);
+      assert(transaction.update.calledWith(refs["events/started"],
+          {status: "active"}));
+      assert(transaction.update.calledWith(refs["events/finished"],
+          {status: "completed"}));
+      assert(transaction.update.calledWith(refs["events/missed"],
+          {status: "completed"}));
+      assert(transaction.update.calledWith(refs["events/custom"],
+          {status: "completed"}));
+    });
+
+    mocha.it("should not write when nothing changes", async () => {
+      const {transaction} = stubFirestore({events: {
+        ongoing: {status: "active", eventType: "bike",
+          dateTime: minutesAgo(10)},
+      }});
+
+      await functionsMock.advanceEventStatuses.run({}, {});
+
+      assert(firestoreStub.runTransaction.notCalled);
+      assert(transaction.update.notCalled);
+    });
+
+    mocha.it("should write changes in chunks", async () => {
+      const events = {};
+      for (let i = 0; i < 501; i++) {
+        events[`run${i}`] = {status: "upcoming", eventType: "run",
+          dateTime: minutesAgo(10)};
+      }
+      const {transaction} = stubFirestore({events});
+
+      await functionsMock.advanceEventStatuses.run({}, {});
+
+      assert(firestoreStub.runTransaction.calledTwice);
+      assert.equal(transaction.update.callCount, 501);
+    });
+
+    mocha.it("should keep a cancel made after the query", async () => {
+      const events = {started: {status: "upcoming", eventType: "run",
+        dateTime: minutesAgo(10)}};
+      const {transaction} = stubFirestore({events});
+      const runTransaction = firestoreStub.runTransaction;
+      firestoreStub.runTransaction = sinon.stub().callsFake((callback) => {
+        // The host cancels between the query and the transaction.
+        events.started = {...events.started, status: "canceled"};
+        return runTransaction(callback);
+      });
+
+      await functionsMock.advanceEventStatuses.run({}, {});
+
+      assert(firestoreStub.runTransaction.calledOnce);
+      assert(transaction.update.notCalled);
+    });
+  });
+
+  mocha.describe("notifyEventUpdate", () => {
+    const users = {
+      host: {},
+      keen: {},
+      quiet: {receiveEventUpdates: false},
+    };
+    const original = {
+      title: "Sunset Run",
+      hostId: "host",
+      status: "upcoming",
+      dateTime: new Date("2026-10-20T23:00:00Z"),
+      location: {latitude: 30.26, longitude: -97.75},
+      attendeeIds: ["host", "keen", "quiet"],
+    };
+
+    const trigger = (before, after) => functionsMock.notifyEventUpdate.run(
+        {
+          before: firestoreDoc("run", before),
+          after: firestoreDoc("run", after),
+        },
+        {params: {eventId: "run"}},
+    );
+
+    mocha.it("should ignore lifecycle transitions", async () => {
+      stubFirestore({users});
+      const writes = stubDatabase({});
+
+      await trigger(original, {...original, status: "active"});
+
+      assert(writes.update.notCalled);
+    });
+
+    mocha.it("should notify attendees who want updates", async () => {
+      stubFirestore({users});
+      const writes = stubDatabase({});
+
+      await trigger(original, {
+        ...original,
+        dateTime: new Date("2026-10-21T00:00:00Z"),
+        location: {latitude: 30.27, longitude: -97.75},
+      });
+
+      const updates = writes.update.firstCall.args[0];
+      const keys = Object.keys(updates).filter(
+          (key) => key.startsWith("notifications/"),
+      );
+      assert.equal(keys.length, 1);
+      assert(keys[0].startsWith("notifications/keen/eventUpdate_run_"));
+      const notification = updates[keys[0]];
+      assert.equal(notification.type, "eventUpdate");
+      assert.equal(notification.fromUserId, "host");
+      assert.equal(notification.relatedEventId, "run");
+      assert.equal(notification.content,
+          "'Sunset Run' has a new time and location.");
+      assert.deepEqual(updates["event_update_state/run"].changedFields,
+          ["dateTime", "location"]);
+    });
+
+    mocha.it("should coalesce edits inside the window", async () => {
+      stubFirestore({users});
+      const writes = stubDatabase({event_update_state: {run: {
+        notificationKey: "eventUpdate_run_1",
+        windowStartedAt: Date.now() - 60 * 1000,
+        changedFields: ["dateTime"],
+      }}});
+
+      await trigger(original, {...original, status: "canceled"});
+
+      const updates = writes.update.firstCall.args[0];
+      const notification = updates["notifications/keen/eventUpdate_run_1"];
+      assert.equal(notification.content, "'Sunset Run' has been canceled.");
+      assert.deepEqual(updates["event_update_state/run"].changedFields,
+          ["dateTime", "status"]);
+    });
+
+    mocha.it("should start a new notification after the window",
+        async () => {
+          stubFirestore({users});
+          const writes = stubDatabase({event_update_state: {run: {
+            notificationKey: "eventUpdate_run_1",
+            windowStartedAt: 1,
+            changedFields: ["status"],
+          }}});
+
+          await trigger(original, {...original, title: "Moonlight Run"});
+
+          const updates = writes.update.firstCall.args[0];
+          assert(!("notifications/keen/eventUpdate_run_1" in updates));
+          const state = updates["event_update_state/run"];
+          assert.notEqual(state.notificationKey, "eventUpdate_run_1");
+          assert.equal(
+              updates[`notifications/keen/${state.notificationKey}`].content,
+              "'Moonlight Run' has a new name.",
+          );
+        });
+
+    mocha.it("should clear the coalescing state with the event", async () => {
+      const writes = stubDatabase({});
+
+      await test.wrap(functionsMock.clearEventUpdateState)(
+          firestoreDoc("run", original),
+          {params: {eventId: "run"}},
+      );
+
+      assert(writes.remove.calledOnce);
+      assert.equal(databaseStub.ref.lastCall.args[0],
+          "event_update_state/run");
+    });
+  });
+
+  mocha.describe("joinEvent and leaveEvent", () => {
+    const events = {
+      run: {title: "Sunset Run", hostId: "host", status: "upcoming",
+        isPublic: true, maxAttendees: 2, attendeeIds: ["host", "pal"]},
+      walk: {title: "Morning Walk", hostId: "host", status: "upcoming",
+        isPublic: true, maxAttendees: 3, attendeeIds: ["host"]},
+      canceledRun: {title: "Rainy Run", hostId: "host", status: "canceled",
+        isPublic: true, attendeeIds: ["host"]},
+      privateRide: {title: "Friends Ride", hostId: "host",
+        status: "upcoming", isPublic: false, attendeeIds: []},
+    };
+    const waitlist = {
+      second: {userId: "second", joinedAt: 2000},
+      first: {userId: "first", joinedAt: 1000},
+    };
+
+    mocha.it("should seat joiners while spots are open", async () => {
+      const {transaction} = stubFirestore({events});
+
+      const result = await functionsMock.joinEvent.run({
+        data: {eventId: "walk"},
+        auth: {uid: "newbie"},
+      });
+
+      assert.deepEqual(result, {status: "attending", waitlistPosition: null});
+      const eventUpdate = transaction.update.getCalls()
+          .find((call) => call.args[0].path === "events/walk");
+      assert.deepEqual(eventUpdate.args[1],
+          {attendeeIds: ["host", "newbie"]});
+      const userUpdate = transaction.update.getCalls()
+          .find((call) => call.args[0].path === "users/newbie");
+      assert.deepEqual(userUpdate.args[1],
+          {attendingEventIds: {arrayUnion: ["walk"]}});
+    });
+
+    mocha.it("should waitlist joiners when the event is full", async () => {
+      const {transaction} = stubFirestore({
+        "events": events,
+        "events/run/waitlist": {first: waitlist.first},
+      });
+
+      const result = await functionsMock.joinEvent.run({
+        data: {eventId: "run"},
+        auth: {uid: "newbie"},
+      });
+
+      assert.deepEqual(result, {status: "waitlisted", waitlistPosition: 2});
+      assert(transaction.update.notCalled);
+      assert(transaction.set.calledOnce);
+      assert.equal(transaction.set.firstCall.args[0].path,
+          "events/run/waitlist/newbie");
+      assert.equal(transaction.set.firstCall.args[1].userId, "newbie");
+    });
+
+    mocha.it("should promote the head of the waitlist on leave", async () => {
+      const {transaction} = stubFirestore({
+        "events": events,
+        "events/run/waitlist": waitlist,
+      });
+      const writes = stubDatabase({});
+
+      const result = await functionsMock.leaveEvent.run({
+        data: {eventId: "run"},
+        auth: {uid: "pal"},
+      });
+
+      assert.deepEqual(result, {status: "left", promotedCount: 1});
+      assert.deepEqual(
+          transaction.delete.getCalls().map((call) => call.args[0].path),
+          ["events/run/waitlist/first"],
+      );
+      const eventUpdate = transaction.update.getCalls()
+          .find((call) => call.args[0].path === "events/run");
+      assert.deepEqual(eventUpdate.args[1], {attendeeIds: ["host", "first"]});
+
+      assert(writes.update.calledOnce);
+      const updates = writes.update.firstCall.args[0];
+      const notification = updates["notifications/first/push-1"];
+      assert.equal(notification.type, "eventUpdate");
+      assert.equal(notification.relatedEventId, "run");
+      assert.equal(notification.content,
+          "A spot opened up! You're now going to 'Sunset Run'.");
+    });
+
+    mocha.it("should not let the host leave", async () => {
+      stubFirestore({events});
+
+      try {
+        await functionsMock.leaveEvent.run({
+          data: {eventId: "run"},
+          auth: {uid: "host"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+
+    mocha.it("should hide private events from non-friends", async () => {
+      const {transaction} = stubFirestore({
+        users: {host: {friends: ["pal"]}},
+        events,
+      });
+
+      try {
+        await functionsMock.joinEvent.run({
+          data: {eventId: "privateRide"},
+          auth: {uid: "newbie"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "not-found");
+      }
+      assert(transaction.update.notCalled);
+
+      const result = await functionsMock.joinEvent.run({
+        data: {eventId: "privateRide"},
+        auth: {uid: "pal"},
+      });
+      assert.equal(result.status, "attending");
+    });
+
+    mocha.it("should hide events across a block", async () => {
+      for (const blocks of [{host: {newbie: true}}, {newbie: {host: true}}]) {
+        const {transaction} = stubFirestore({events});
+        stubDatabase({blocks});
+
+        try {
+          await functionsMock.joinEvent.run({
+            data: {eventId: "walk"},
+            auth: {uid: "newbie"},
+          });
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.equal(error.code, "not-found");
+        }
+        assert(transaction.update.notCalled);
+      }
+    });
+
+    mocha.it("should reject joins for canceled events", async () => {
+      stubFirestore({events});
+
+      try {
+        await functionsMock.joinEvent.run({
+          data: {eventId: "canceledRun"},
+          auth: {uid: "newbie"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+      }
+    });
+  });
+
+  mocha.describe("recurrence rules", () => {
+    mocha.it("should reject rules outside the supported subset", () => {
+      assert.equal(recurrence.parseRecurrenceRule("FREQ=MONTHLY"), null);
+      assert.equal(
+          recurrence.parseRecurrenceRule("FREQ=WEEKLY;INTERVAL=2"), null);
+      assert.equal(recurrence.parseRecurrenceRule(
+          "FREQ=DAILY;COUNT=3;UNTIL=20261231"), null);
+      assert.deepEqual(
+          recurrence.parseRecurrenceRule("RRULE:FREQ=WEEKLY;BYDAY=TU,SA"),
+          {freq: "WEEKLY", byDay: ["TU", "SA"], count: null, until: null},
+      );
+    });
+
+    mocha.it("should keep local time across daylight saving", () => {
+      const occurrences = recurrence.nextOccurrences({
+        rule: recurrence.parseRecurrenceRule(
+            "FREQ=WEEKLY;BYDAY=TU,SA;COUNT=5"),
+        start: new Date("2026-03-03T13:00:00Z"),
+        timeZone: "America/Chicago",
+        after: new Date("2026-03-04T00:00:00Z"),
+        limit: 10,
+      });
+
+      assert.deepEqual(occurrences.map(({index, start}) =>
+        [index, start.toISOString()]), [
+        [2, "2026-03-07T13:00:00.000Z"],
+        [3, "2026-03-10T12:00:00.000Z"],
+        [4, "2026-03-14T12:00:00.000Z"],
+        [5, "2026-03-17T12:00:00.000Z"],
+      ]);
+    });
+
+    mocha.it("should include the whole local day for a date UNTIL", () => {
+      const occurrences = recurrence.nextOccurrences({
+        rule: recurrence.parseRecurrenceRule("FREQ=DAILY;UNTIL=20260103"),
+        start: new Date("2026-01-01T23:30:00Z"),
+        timeZone: "America/Chicago",
+        after: new Date("2025-12-31T00:00:00Z"),
+        limit: 10,
+      });
+
+      assert.deepEqual(occurrences.map(({start}) => start.toISOString()), [
+        "2026-01-01T23:30:00.000Z",
+        "2026-01-02T23:30:00.000Z",
+        "2026-01-03T23:30:00.000Z",
+      ]);
+    });
+  });
+
+  mocha.describe("event series", () => {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const series = (overrides) => ({
+      hostId: "host",
+      title: "Club Run",
+      location: {latitude: 30.26, longitude: -97.75},
+      eventType: "run",
+      isPublic: true,
+      tags: [],
+      recurrence: "FREQ=DAILY",
+      timeZone: "UTC",
+      startDateTime: new Date(Date.now() - 2.5 * dayMs),
+      subscriberIds: [],
+      status: "active",
+      materializedThroughIndex: 0,
+      ...overrides,
+    });
+
+    mocha.it("should create a series with its first occurrences", async () => {
+      const {batch} = stubFirestore({});
+
+      const result = await functionsMock.createEventSeries.run({
+        data: {
+          title: "Tuesday Run",
+          location: {latitude: 30.26, longitude: -97.75},
+          eventType: "run",
+          isPublic: true,
+          dateTime: new Date(Date.now() + dayMs).toISOString(),
+          recurrence: "FREQ=WEEKLY;COUNT=3",
+          timeZone: "UTC",
+        },
+        auth: {uid: "host"},
+      });
+
+      assert.deepEqual(result.eventIds,
+          ["auto-1_1", "auto-1_2", "auto-1_3"]);
+      const seriesSet = batch.set.firstCall.args;
+      assert.equal(seriesSet[0].path, "eventSeries/auto-1");
+      assert.equal(seriesSet[1].hostId, "host");
+      assert.equal(seriesSet[1].materializedThroughIndex, 3);
+      const creates = batch.create.getCalls().map((call) => call.args);
+      const occurrence = creates[1][1];
+      assert.equal(creates[1][0].path, "events/auto-1_2");
+      assert.equal(occurrence.seriesId, "auto-1");
+      assert.equal(occurrence.occurrenceIndex, 2);
+      assert.equal(occurrence.title, "Tuesday Run");
+      assert.equal(occurrence.status, "upcoming");
+      assert.equal(occurrence.dateTime - creates[0][1].dateTime, 7 * dayMs);
+    });
+
+    mocha.it("should reject unsupported recurrence rules", async () => {
+      stubFirestore({});
+
+      try {
+        await functionsMock.createEventSeries.run({
+          data: {
+            title: "Monthly Ride",
+            location: {latitude: 30.26, longitude: -97.75},
+            eventType: "bike",
+            isPublic: true,
+            dateTime: new Date(Date.now() + dayMs).toISOString(),
+            recurrence: "FREQ=MONTHLY",
+            timeZone: "America/Chicago",
+          },
+          auth: {uid: "host"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "invalid-argument");
+      }
+    });
+
+    mocha.it("should top up occurrences and seat subscribers", async () => {
+      const {transaction, refs} = stubFirestore({
+        users: {first: {}, second: {}},
+        eventSeries: {
+          club: series({
+            maxAttendees: 1,
+            subscriberIds: ["first", "second"],
+            materializedThroughIndex: 7,
+          }),
+          done: series({status: "canceled"}),
+        },
+      });
+
+      await functionsMock.materializeEventSeries.run({}, {});
+
+      const created = transaction.create.getCalls();
+      assert.deepEqual(created.map((call) => call.args[0].id),
+          ["club_8", "club_9"]);
+      assert.deepEqual(created[0].args[1].attendeeIds, ["first"]);
+      assert(transaction.update.calledWith(refs["users/first"],
+          {attendingEventIds: {arrayUnion: ["club_8"]}}));
+      const waitlisted = transaction.set.getCalls().find((call) =>
+        call.args[0].path === "events/club_8/waitlist/second");
+      assert.equal(waitlisted.args[1].userId, "second");
+      assert(transaction.update.calledWith(refs["eventSeries/club"],
+          {materializedThroughIndex: 8}));
+      assert(transaction.update.calledWith(refs["eventSeries/club"],
+          {materializedThroughIndex: 9}));
+    });
+
+    mocha.it("should never replace an existing occurrence", async () => {
+      const {transaction, refs} = stubFirestore({
+        users: {first: {}},
+        eventSeries: {club: series({
+          subscriberIds: ["first"],
+          materializedThroughIndex: 7,
+        })},
+        events: {club_8: {seriesId: "club", occurrenceIndex: 8,
+          attendeeIds: []}},
+      });
+
+      await functionsMock.materializeEventSeries.run({}, {});
+
+      assert.deepEqual(transaction.create.getCalls()
+          .map((call) => call.args[0].id), ["club_9"]);
+      assert(transaction.update.neverCalledWith(refs["users/first"],
+          {attendingEventIds: {arrayUnion: ["club_8"]}}));
+      assert(transaction.update.calledWith(refs["eventSeries/club"],
+          {materializedThroughIndex: 8}));
+    });
+
+    mocha.it("should skip subscribers whose account is gone", async () => {
+      const {transaction, refs} = stubFirestore({
+        users: {first: {}},
+        eventSeries: {club: series({
+          subscriberIds: ["gone", "first"],
+          materializedThroughIndex: 7,
+        })},
+      });
+
+      await functionsMock.materializeEventSeries.run({}, {});
+
+      assert.deepEqual(transaction.create.firstCall.args[1].attendeeIds,
+          ["first"]);
+      assert(transaction.update.neverCalledWith(refs["users/gone"],
+          sinon.match.any));
+    });
+
+    mocha.it("should keep occurrences edited on their own", async () => {
+      const {batch, refs} = stubFirestore({
+        eventSeries: {club: series()},
+        events: {
+          club_4: {seriesId: "club", status: "upcoming", occurrenceIndex: 4,
+            title: "Club Run", tags: []},
+          club_5: {seriesId: "club", status: "upcoming", occurrenceIndex: 5,
+            title: "Birthday Run", tags: []},
+          club_3: {seriesId: "club", status: "completed",
+            occurrenceIndex: 3, title: "Club Run", tags: []},
+        },
+      });
+
+      const result = await functionsMock.updateEventSeries.run({
+        data: {seriesId: "club", changes: {title: "Dawn Run", tags: ["5k"]}},
+        auth: {uid: "host"},
+      });
+
+      assert.equal(result.updatedCount, 2);
+      assert(batch.update.calledWith(refs["eventSeries/club"],
+          {title: "Dawn Run", tags: ["5k"]}));
+      assert(batch.update.calledWith(refs["events/club_4"],
+          {title: "Dawn Run", tags: ["5k"]}));
+      assert(batch.update.calledWith(refs["events/club_5"], {tags: ["5k"]}));
+    });
+
+    mocha.it("should only let the host change a series", async () => {
+      stubFirestore({eventSeries: {club: series()}});
+
+      try {
+        await functionsMock.cancelEventSeries.run({
+          data: {seriesId: "club"},
+          auth: {uid: "guest"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+
+    mocha.it("should cancel one occurrence or the whole series", async () => {
+      const {batch, refs} = stubFirestore({
+        eventSeries: {club: series()},
+        events: {
+          club_4: {seriesId: "club", status: "upcoming", occurrenceIndex: 4},
+          club_5: {seriesId: "club", status: "upcoming", occurrenceIndex: 5},
+        },
+      });
+
+      const single = await functionsMock.cancelEventSeries.run({
+        data: {seriesId: "club", eventId: "club_5"},
+        auth: {uid: "host"},
+      });
+      assert.equal(single.canceledCount, 1);
+      assert(refs["events/club_5"].update.calledWith({status: "canceled"}));
+
+      const whole = await functionsMock.cancelEventSeries.run({
+        data: {seriesId: "club"},
+        auth: {uid: "host"},
+      });
+      assert.equal(whole.canceledCount, 2);
+      assert(batch.update.calledWith(refs["eventSeries/club"],
+          {status: "canceled"}));
+      assert(batch.update.calledWith(refs["events/club_4"],
+          {status: "canceled"}));
+    });
+
+    mocha.it("should join every upcoming occurrence", async () => {
+      const {refs, transaction} = stubFirestore({
+        eventSeries: {club: series()},
+        events: {
+          club_5: {seriesId: "club", status: "upcoming", occurrenceIndex: 5,
+            hostId: "host", attendeeIds: []},
+          club_4: {seriesId: "club", status: "upcoming", occurrenceIndex: 4,
+            hostId: "host", maxAttendees: 1, attendeeIds: ["pal"]},
+        },
+      });
+
+      const result = await functionsMock.joinEventSeries.run({
+        data: {seriesId: "club"},
+        auth: {uid: "guest"},
+      });
+
+      assert(refs["eventSeries/club"].update.calledWith(
+          {subscriberIds: {arrayUnion: ["guest"]}}));
+      assert.deepEqual(result.occurrences, [
+        {eventId: "club_4", status: "waitlisted", waitlistPosition: 1},
+        {eventId: "club_5", status: "attending", waitlistPosition: null},
+      ]);
+      assert(transaction.update.calledWith(refs["events/club_5"],
+          {attendeeIds: ["guest"]}));
+    });
+  });
+
+  mocha.describe("calendar feed", () => {
+    const tokenHash = crypto.createHash("sha256")
+        .update("secret-token").digest("hex");
+    const inDays = (days) => new Date(Date.now() + days * 86400000);
+
+    /**
+     * Invokes the calendarFeed endpoint with a recording response.
+     * @param {object} query Request query parameters.
+     * @return {Promise<object>} Response with status, headers and body.
+     */
+    async function fetchFeed(query) {
+      const response = {headers: {}};
+      const res = {
+        set: (name, value) => {
+          response.headers[name] = value;
+          return res;
+        },
+        status: (code) => {
+          response.status = code;
+          return res;
+        },
+        send: (body) => {
+          response.body = body;
+          return res;
+        },
+        on: () => res,
+      };
+      await functionsMock.calendarFeed(
+          {method: "GET", query, headers: {}, get: () => undefined},
+          res,
+      );
+      return response;
+    }
+
+    mocha.it("should store only a hash of a rotated token", async () => {
+      const {refs} = stubFirestore({});
+
+      const result = await functionsMock.rotateCalendarFeedToken.run({
+        data: {},
+        auth: {uid: "runner"},
+      });
+
+      const token = new URL(result.url).searchParams.get("token");
+      const stored = refs["calendarFeeds/runner"].set.firstCall.args[0];
+      assert.equal(stored.tokenHash,
+          crypto.createHash("sha256").update(token).digest("hex"));
+      assert(!JSON.stringify(stored).includes(token));
+    });
+
+    mocha.it("should reject unknown tokens", async () => {
+      stubFirestore({calendarFeeds: {runner: {tokenHash}}});
+
+      const response = await fetchFeed({token: "guessed-token"});
+
+      assert.equal(response.status, 404);
+    });
+
+    mocha.it("should list hosted and attended events", async () => {
+      stubFirestore({
+        calendarFeeds: {runner: {tokenHash}},
+        events: {
+          hosted: {title: "Sunset Run, Lady Bird Lake", hostId: "runner",
+            attendeeIds: ["runner"], eventType: "run", dateTime: inDays(1),
+            description: "Meet at the boathouse;\nbring water",
+            locationName: "Rowing Dock",
+            location: {latitude: 30.2642, longitude: -97.7524},
+            status: "upcoming"},
+          attending: {title: "Bike Loop", hostId: "pal",
+            attendeeIds: ["runner"], eventType: "bike", dateTime: inDays(2),
+            status: "canceled"},
+          old: {title: "Old Walk", hostId: "runner", eventType: "walk",
+            dateTime: inDays(-120), status: "completed"},
+          other: {title: "Not Mine", hostId: "pal", attendeeIds: ["pal"],
+            eventType: "walk", dateTime: inDays(1), status: "upcoming"},
+        },
+      });
+
+      const response = await fetchFeed({token: "secret-token"});
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers["Content-Type"],
+          "text/calendar; charset=utf-8");
+      const lines = response.body.replace(/\r\n /g, "").split("\r\n");
+      assert.equal(lines.filter((line) => line === "BEGIN:VEVENT").length, 2);
+      assert(lines.includes("UID:hosted@trailmates.app"));
+      assert(lines.includes("UID:attending@trailmates.app"));
+      assert(lines.includes("SUMMARY:Sunset Run\\, Lady Bird Lake"));
+      assert(lines.includes(
+          "DESCRIPTION:Meet at the boathouse\\;\\nbring water"));
+      assert(lines.includes("LOCATION:Rowing Dock"));
+      assert(lines.includes("GEO:30.2642;-97.7524"));
+      assert(lines.includes("STATUS:CANCELLED"));
+      assert(response.body.split("\r\n").every(
+          (line) => Buffer.byteLength(line) <= 75));
+    });
+  });
+
+  mocha.describe("nearby events", () => {
+    const boathouse = {latitude: 30.2642, longitude: -97.7524};
+    const inDays = (days) => new Date(Date.now() + days * 86400000);
+    const event = (overrides) => {
+      const location = overrides.location || boathouse;
+      return {
+        title: "Run", hostId: "stranger", isPublic: true, eventType: "run",
+        status: "upcoming", dateTime: inDays(1), location,
+        geohash: geo.encodeGeohash(location), ...overrides,
+      };
+    };
+
+    mocha.it("should store a geohash for the event location", async () => {
+      const {refs} = stubFirestore({});
+      const ref = firestoreStub.collection("events").doc("run");
+      const wrapped = test.wrap(functionsMock.indexEventGeohash);
+
+      await wrapped({
+        before: {exists: false},
+        after: {exists: true, ref, data: () => ({location: boathouse})},
+      }, {params: {eventId: "run"}});
+
+      assert(refs["events/run"].update.calledWith(
+          {geohash: geo.encodeGeohash(boathouse)}));
+    });
+
+    mocha.it("should skip events whose geohash is current", async () => {
+      const {refs} = stubFirestore({});
+      const ref = firestoreStub.collection("events").doc("run");
+      const wrapped = test.wrap(functionsMock.indexEventGeohash);
+
+      await wrapped({
+        before: {exists: true, data: () => ({})},
+        after: {exists: true, ref, data: () => ({location: boathouse,
+          geohash: geo.encodeGeohash(boathouse)})},
+      }, {params: {eventId: "run"}});
+
+      assert(refs["events/run"].update.notCalled);
+    });
+
+    mocha.it("should drop the geohash once an event finishes", async () => {
+      const {refs} = stubFirestore({});
+      const ref = firestoreStub.collection("events").doc("run");
+      const wrapped = test.wrap(functionsMock.indexEventGeohash);
+
+      await wrapped({
+        before: {exists: true, data: () => ({})},
+        after: {exists: true, ref, data: () => ({location: boathouse,
+          status: "completed", geohash: geo.encodeGeohash(boathouse)})},
+      }, {params: {eventId: "run"}});
+
+      assert(refs["events/run"].update.calledWith(
+          {geohash: {delete: true}}));
+    });
+
+    mocha.it("should return visible events nearest first", async () => {
+      stubFirestore({
+        users: {runner: {friends: ["pal"]}, pal: {friends: ["runner"]}},
+        events: {
+          farther: event({location: {latitude: 30.2700,
+            longitude: -97.7400}}),
+          nearest: event({location: {latitude: 30.2645,
+            longitude: -97.7520}}),
+          friendsPrivate: event({hostId: "pal", isPublic: false,
+            location: {latitude: 30.2660, longitude: -97.7500}}),
+          strangersPrivate: event({isPublic: false}),
+          tooFar: event({location: {latitude: 30.4000,
+            longitude: -97.7524}}),
+          wrongType: event({eventType: "bike"}),
+          nextYear: event({dateTime: inDays(365)}),
+          canceled: event({status: "canceled"}),
+        },
+      });
+
+      const result = await functionsMock.findNearbyEvents.run({
+        data: {center: boathouse, radiusMeters: 3000, eventType: "run"},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.events.map((found) => found.id),
+          ["nearest", "friendsPrivate", "farther"]);
+      assert(result.events[0].distanceMeters < result.events[1].distanceMeters);
+    });
+
+    mocha.it("should reject oversized radii", async () => {
+      stubFirestore({});
+
+      try {
+        await functionsMock.findNearbyEvents.run({
+          data: {center: boathouse, radiusMeters: 500000},
+          auth: {uid: "runner"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "invalid-argument");
+      }
+    });
+  });
+
+  mocha.describe("listVisibleEvents", () => {
+    const inDays = (days) => new Date(Date.now() + days * 86400000);
+    const collections = {
+      "users": {runner: {friends: ["pal"]}, pal: {friends: ["runner"]}},
+      "events": {
+        publicRun: {hostId: "stranger", isPublic: true,
+          dateTime: inDays(2), attendeeIds: []},
+        friendsRide: {hostId: "pal", isPublic: false,
+          dateTime: inDays(1), attendeeIds: []},
+        strangersWalk: {hostId: "stranger", isPublic: false,
+          dateTime: inDays(1), attendeeIds: []},
+        invitedWalk: {hostId: "stranger", isPublic: false,
+          dateTime: inDays(3), attendeeIds: []},
+        attendingRun: {hostId: "other", isPublic: false,
+          dateTime: inDays(4), attendeeIds: ["runner"]},
+        oldRun: {hostId: "stranger", isPublic: true,
+          dateTime: inDays(-30), attendeeIds: []},
+      },
+      "events/invitedWalk/invites": {
+        runner: {userId: "runner", eventId: "invitedWalk"},
+      },
+    };
+
+    mocha.it("should return only events the caller may see", async () => {
+      stubFirestore(collections);
+
+      const result = await functionsMock.listVisibleEvents.run({
+        data: {},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.events.map((event) => event.id),
+          ["friendsRide", "publicRun", "invitedWalk", "attendingRun"]);
+      assert.deepEqual(result.events[3].attendeeIds, ["runner"]);
+      assert.equal(result.events[0].isPublic, false);
+    });
+
+    mocha.it("should trust only the host's friends list", async () => {
+      stubFirestore({...collections, users: {
+        runner: {friends: ["pal", "stranger"]},
+        pal: {friends: ["runner"]},
+        stranger: {friends: []},
+      }});
+
+      const result = await functionsMock.listVisibleEvents.run({
+        data: {hostIds: ["stranger"]},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.events.map((event) => event.id),
+          ["publicRun", "invitedWalk"]);
+    });
+
+    mocha.it("should bound every event query by the window", async () => {
+      stubFirestore(collections);
+      // Records the calls made on each events query before it is read.
+      const queries = [];
+      const recording = (query, calls) => ({
+        where: (...args) =>
+          recording(query.where(...args), calls.concat([args])),
+        orderBy: (field) =>
+          recording(query.orderBy(field), calls.concat([["orderBy", field]])),
+        limit: (count) =>
+          recording(query.limit(count), calls.concat([["limit", count]])),
+        get: () => {
+          queries.push(calls);
+          return query.get();
+        },
+        doc: (id) => query.doc(id),
+      });
+      firestoreStub.collection.withArgs("events")
+          .returns(recording(firestoreStub.collection("events"), []));
+
+      await functionsMock.listVisibleEvents.run({
+        data: {limit: 10},
+        auth: {uid: "runner"},
+      });
+
+      assert.equal(queries.length, 4);
+      queries.forEach((calls) => {
+        assert(calls.some(([field, op]) =>
+          field === "dateTime" && op === ">="));
+        assert.deepEqual(calls.slice(-2), [["orderBy", "dateTime"],
+          ["limit", 10]]);
+      });
+    });
+
+    mocha.it("should filter by host and date window", async () => {
+      stubFirestore(collections);
+
+      const result = await functionsMock.listVisibleEvents.run({
+        data: {
+          hostIds: ["stranger"],
+          startDate: inDays(0).toISOString(),
+          endDate: inDays(2.5).toISOString(),
+        },
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.events.map((event) => event.id),
+          ["publicRun"]);
+    });
+  });
+
+  mocha.describe("user stats", () => {
+    mocha.it("should count hosts and attendees as events change", async () => {
+      const {batch} = stubFirestore({
+        users: {host: {}, pal: {}, newcomer: {}},
+      });
+      const wrapped = test.wrap(functionsMock.updateUserStatsFromEvent);
+
+      await wrapped({
+        before: {exists: true, data: () => ({hostId: "host",
+          status: "upcoming", attendeeIds: ["host", "pal", "leaver"]})},
+        after: {exists: true, data: () => ({hostId: "host",
+          status: "upcoming", attendeeIds: ["host", "newcomer", "leaver"]})},
+      }, {params: {eventId: "run"}});
+
+      const writes = batch.set.getCalls().map((call) =>
+        [call.args[0].path, call.args[1]]);
+      assert.deepEqual(writes, [
+        ["userStats/pal", {attendedEventCount: {increment: -1}}],
+        ["userStats/newcomer", {attendedEventCount: {increment: 1}}],
+      ]);
+    });
+
+    mocha.it("should uncount canceled events", async () => {
+      const {batch} = stubFirestore({users: {host: {}, pal: {}}});
+      const wrapped = test.wrap(functionsMock.updateUserStatsFromEvent);
+      const run = {hostId: "host", attendeeIds: ["host", "pal"]};
+
+      await wrapped({
+        before: {exists: true, data: () => ({...run, status: "upcoming"})},
+        after: {exists: true, data: () => ({...run, status: "canceled"})},
+      }, {params: {eventId: "run"}});
+
+      const writes = batch.set.getCalls().map((call) =>
+        [call.args[0].path, call.args[1]]);
+      assert.deepEqual(writes, [
+        ["userStats/host", {hostedEventCount: {increment: -1}}],
+        ["userStats/pal", {attendedEventCount: {increment: -1}}],
+      ]);
+    });
+
+    mocha.it("should only show stats to the user and friends", async () => {
+      stubFirestore({
+        users: {runner: {friends: ["pal"]}},
+        userStats: {runner: {friendCount: 1, rebuiltAt: new Date()}},
+      });
+
+      const result = await functionsMock.getUserStats.run({
+        data: {userId: "runner"},
+        auth: {uid: "pal"},
+      });
+      assert.equal(result.friendCount, 1);
+
+      try {
+        await functionsMock.getUserStats.run({
+          data: {userId: "runner"},
+          auth: {uid: "stranger"},
+        });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+
+    mocha.it("should rebuild missing stats on first read", async () => {
+      const {batch} = stubFirestore({
+        users: {runner: {
+          friends: ["pal", "pal", "buddy"],
+          visitedLandmarkIds: ["bridge"],
+          joinDate: new Date("2025-03-14T12:00:00Z"),
+        }},
+        events: {
+          hosted: {hostId: "runner", status: "completed",
+            attendeeIds: ["runner"]},
+          joined: {hostId: "pal", status: "upcoming",
+            attendeeIds: ["pal", "runner"]},
+          dropped: {hostId: "runner", status: "canceled",
+            attendeeIds: ["runner"]},
+        },
+        landmarks: {bridge: {}, tower: {}, pier: {}},
+      });
+
+      const result = await functionsMock.getUserStats.run({
+        data: {},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result, {
+        joinDate: "March 2025",
+        landmarkCompletion: 33,
+        friendCount: 2,
+        hostedEventCount: 1,
+        attendedEventCount: 1,
+      });
+      assert(batch.set.calledOnce);
+      assert.equal(batch.set.firstCall.args[0].path, "userStats/runner");
+    });
+
+    mocha.it("should rebuild counters the triggers started", async () => {
+      const {batch} = stubFirestore({
+        users: {runner: {friends: []}},
+        userStats: {runner: {hostedEventCount: 1}},
+        events: {
+          earlier: {hostId: "runner", attendeeIds: ["runner"]},
+          latest: {hostId: "runner", attendeeIds: ["runner"]},
+        },
+      });
+
+      const result = await functionsMock.getUserStats.run({
+        data: {},
+        auth: {uid: "runner"},
+      });
+
+      assert.equal(result.hostedEventCount, 2);
+      assert(batch.set.calledOnce);
+    });
+
+    mocha.it("should restrict rebuilds to admins", async () => {
+      const wrapped = test.wrap(functionsMock.rebuildUserStats);
+      try {
+        await wrapped({}, {auth: {uid: "runner", token: {}}});
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+  });
+
+  mocha.describe("checkInLandmark", () => {
+    const bridge = {name: "Pfluger Bridge", latitude: 30.2669,
+      longitude: -97.7540};
+    // About 180 m north of the bridge.
+    const nearby = {latitude: 30.2685, longitude: -97.7540};
+    const checkIn = (landmarkId) => functionsMock.checkInLandmark.run({
+      data: {landmarkId},
+      auth: {uid: "runner"},
+    });
+    const expectRejection = async (landmarkId, reason) => {
+      try {
+        await checkIn(landmarkId);
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+        assert.equal(error.details.reason, reason);
+      }
+    };
+
+    mocha.it("should record a check-in near the landmark", async () => {
+      const {refs, batch} = stubFirestore({
+        users: {runner: {visitedLandmarkIds: []}},
+        landmarks: {park: {...bridge, category: "Park"}},
+      });
+      stubDatabase({locations: {runner: {...nearby,
+        timestamp: Date.now() - 30 * 1000}}});
+
+      const result = await checkIn("park");
+
+      assert.equal(result.success, true);
+      assert.equal(result.firstVisit, true);
+      assert.equal(result.distanceMeters, 178);
+      const [checkInRef, record] = batch.set.firstCall.args;
+      assert.equal(checkInRef.id, result.checkInId);
+      assert.equal(record.userId, "runner");
+      assert.equal(record.landmarkId, "park");
+      assert(batch.update.calledWith(refs["users/runner"],
+          {visitedLandmarkIds: {arrayUnion: ["park"]}}));
+    });
+
+    mocha.it("should reject check-ins outside the radius", async () => {
+      stubFirestore({
+        users: {runner: {}},
+        landmarks: {bridge},
+      });
+      stubDatabase({locations: {runner: {...nearby,
+        timestamp: Date.now()}}});
+
+      await expectRejection("bridge", "too-far");
+    });
+
+    mocha.it("should reject stale or missing locations", async () => {
+      stubFirestore({
+        users: {runner: {}},
+        landmarks: {bridge},
+      });
+      stubDatabase({locations: {runner: {...bridge,
+        timestamp: Date.now() - 10 * 60 * 1000}}});
+      await expectRejection("bridge", "stale-location");
+
+      stubDatabase({});
+      await expectRejection("bridge", "no-location");
+    });
+  });
+
+  mocha.describe("landmark import and export", () => {
+    const adminContext = {auth: {uid: "ops", token: {admin: true}}};
+    const collections = {
+      landmarks: {
+        bridge: {name: "Pfluger Bridge", latitude: 30.2669,
+          longitude: -97.7540, category: "bridge"},
+        tower: {name: "Tower", latitude: 30.2862, longitude: -97.7394},
+      },
+    };
+    const csv = [
+      "id,name,latitude,longitude,description",
+      "bridge,Pfluger Bridge,30.2670,-97.7540,\"Walk, bike, \"\"run\"\"\"",
+      ",Boathouse,30.2640,-97.7530,",
+    ].join("\r\n");
+
+    mocha.it("should parse quoted CSV fields", () => {
+      const {landmarks: rows, errors} = landmarks.parseLandmarkCsv(csv);
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(rows[0], {id: "bridge", fields: {
+        name: "Pfluger Bridge", latitude: 30.267, longitude: -97.754,
+        description: "Walk, bike, \"run\"",
+      }});
+      assert.deepEqual(rows[1], {id: null, fields: {name: "Boathouse",
+        latitude: 30.264, longitude: -97.753}});
+    });
+
+    mocha.it("should report invalid rows", () => {
+      const {errors} = landmarks.parseLandmarkGeoJson({
+        type: "FeatureCollection",
+        features: [
+          {type: "Feature", geometry: {type: "Point",
+            coordinates: [-97.75, 95]}, properties: {name: "Nowhere"}},
+          {type: "Feature", geometry: {type: "Point",
+            coordinates: [-97.75, 30.26]}, properties: {}},
+        ],
+      });
+
+      assert.deepEqual(errors, [
+        "Feature 1: latitude and longitude must be valid coordinates.",
+        "Feature 2: name is required.",
+      ]);
+    });
+
+    mocha.it("should preview changes without writing on dry run", async () => {
+      const {batch} = stubFirestore(collections);
+      const wrapped = test.wrap(functionsMock.importLandmarks);
+
+      const result = await wrapped({
+        format: "csv",
+        content: csv,
+        dryRun: true,
+        deleteMissing: true,
+      }, adminContext);
+
+      assert.equal(result.dryRun, true);
+      assert.deepEqual(result.creates.map((create) => create.name),
+          ["Boathouse"]);
+      assert.deepEqual(result.updates, [{id: "bridge", changes: {
+        latitude: {from: 30.2669, to: 30.267},
+        description: {from: null, to: "Walk, bike, \"run\""},
+      }}]);
+      assert.deepEqual(result.deletes, [{id: "tower", name: "Tower",
+        visitorCount: 0, checkInCount: 0}]);
+      assert(batch.commit.notCalled);
+    });
+
+    mocha.it("should only delete visited landmarks when forced", async () => {
+      const visited = {
+        ...collections,
+        users: {runner: {visitedLandmarkIds: ["bridge", "tower"]}},
+        landmarkCheckIns: {c1: {userId: "runner", landmarkId: "tower"}},
+      };
+      const wrapped = test.wrap(functionsMock.importLandmarks);
+      const request = {format: "csv", content: csv, deleteMissing: true};
+
+      const {batch} = stubFirestore(visited);
+      try {
+        await wrapped(request, adminContext);
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "failed-precondition");
+        assert.deepEqual(error.details.deletes, [{id: "tower", name: "Tower",
+          visitorCount: 1, checkInCount: 1}]);
+      }
+      assert(batch.commit.notCalled);
+
+      const {refs, batch: forcedBatch} = stubFirestore(visited);
+      await wrapped({...request, force: true}, adminContext);
+      assert(forcedBatch.update.calledWith(refs["users/runner"],
+          {visitedLandmarkIds: {arrayRemove: ["tower"]}}));
+      assert(forcedBatch.delete.calledWith(refs["landmarkCheckIns/c1"]));
+      assert(forcedBatch.delete.calledWith(refs["landmarks/tower"]));
+    });
+
+    mocha.it("should upsert GeoJSON and keep other landmarks", async () => {
+      const {refs, batch} = stubFirestore(collections);
+      const wrapped = test.wrap(functionsMock.importLandmarks);
+      const exported = await test.wrap(functionsMock.exportLandmarks)(
+          {}, adminContext);
+      exported.features[1].properties.category = "building";
+
+      const result = await wrapped({format: "geojson", content: exported},
+          adminContext);
+
+      assert.deepEqual(result.creates, []);
+      assert.deepEqual(result.deletes, []);
+      assert.equal(result.unchangedCount, 1);
+      assert(batch.update.calledWith(refs["landmarks/tower"],
+          {category: "building"}));
+    });
+
+    mocha.it("should restrict imports to admins", async () => {
+      const wrapped = test.wrap(functionsMock.importLandmarks);
+      try {
+        await wrapped({format: "csv", content: csv},
+            {auth: {uid: "runner", token: {}}});
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.equal(error.code, "permission-denied");
+      }
+    });
+  });
+
+  mocha.describe("achievements", () => {
+    const badgeDefinitions = {
+      bridges: {name: "Bridge Collector", active: true,
+        criteria: {type: "landmarksInCategory", category: "bridge"}},
+      firstFriends: {name: "Trail Crew", active: true,
+        criteria: {type: "friends", count: 5}},
+      hostFive: {name: "Trail Boss", active: true,
+        criteria: {type: "eventsHosted", count: 5}},
+      bikeRides: {name: "Spin Cycle", active: true,
+        criteria: {type: "eventsAttended", count: 2, eventType: "bike"}},
+      retired: {name: "Old Badge", active: false,
+        criteria: {type: "friends", count: 1}},
+    };
+    const userChange = (before, after) => ({
+      before: {exists: true, data: () => before},
+      after: {exists: true, data: () => after},
+    });
+    const awardedBadgeIds = (transaction) => transaction.set.getCalls()
+        .map((call) => call.args[1].badgeId);
+
+    mocha.it("should award a badge and notify once it is earned", async () => {
+      const {transaction} = stubFirestore({
+        users: {runner: {visitedLandmarkIds: ["north", "south"]}},
+        landmarks: {
+          north: {category: "bridge"},
+          south: {category: "bridge"},
+          tower: {category: "building"},
+        },
+        badgeDefinitions,
+      });
+      const writes = stubDatabase({});
+      const wrapped = test.wrap(functionsMock.awardBadgesOnUserUpdate);
+
+      await wrapped(userChange({visitedLandmarkIds: ["north"]},
+          {visitedLandmarkIds: ["north", "south"]}),
+      {params: {userId: "runner"}});
+
+      assert.deepEqual(awardedBadgeIds(transaction), ["bridges"]);
+      assert.equal(transaction.set.firstCall.args[0].path,
+          "badgeAwards/runner_bridges");
+      const [notification] = Object.values(writes.update.firstCall.args[0]);
+      assert.equal(notification.type, "general");
+      assert.equal(notification.content,
+          "You earned the 'Bridge Collector' badge!");
+    });
+
+    mocha.it("should skip badges already awarded", async () => {
+      const {transaction} = stubFirestore({
+        users: {runner: {friends: ["a", "b", "c", "d", "e"]}},
+        badgeDefinitions,
+        badgeAwards: {
+          runner_firstFriends: {userId: "runner", badgeId: "firstFriends"},
+        },
+      });
+      const writes = stubDatabase({});
+      const wrapped = test.wrap(functionsMock.awardBadgesOnUserUpdate);
+
+      await wrapped(userChange({friends: ["a", "b", "c", "d"]},
+          {friends: ["a", "b", "c", "d", "e"]}),
+      {params: {userId: "runner"}});
+
+      assert(transaction.set.notCalled);
+      assert(writes.update.notCalled);
+    });
+
+    mocha.it("should only count mutual friends", async () => {
+      const friends = ["a", "b", "c", "d", "e"];
+      const users = (lastFriends) => ({
+        runner: {friends},
+        a: {friends: ["runner"]},
+        b: {friends: ["runner"]},
+        c: {friends: ["runner"]},
+        d: {friends: ["runner"]},
+        e: {friends: lastFriends},
+      });
+      const wrapped = test.wrap(functionsMock.awardBadgesOnUserUpdate);
+      const change = userChange({friends: friends.slice(0, 4)}, {friends});
+      stubDatabase({});
+
+      const oneSided = stubFirestore({users: users([]), badgeDefinitions});
+      await wrapped(change, {params: {userId: "runner"}});
+      assert(oneSided.transaction.set.notCalled);
+
+      const mutual =
+        stubFirestore({users: users(["runner"]), badgeDefinitions});
+      await wrapped(change, {params: {userId: "runner"}});
+      assert.deepEqual(awardedBadgeIds(mutual.transaction), ["firstFriends"]);
+    });
+
+    mocha.it("should award event badges when an event completes", async () => {
+      const completed = (id, hostId, eventType) => [id, {hostId, eventType,
+        status: "completed", attendeeIds: [hostId, "rider"]}];
+      const {transaction} = stubFirestore({
+        users: {host: {}, rider: {}},
+        events: Object.fromEntries([
+          completed("ride1", "host", "bike"),
+          completed("ride2", "host", "bike"),
+          completed("walk1", "host", "walk"),
+          completed("walk2", "host", "walk"),
+          completed("walk3", "host", "walk"),
+        ]),
+        badgeDefinitions,
+      });
+      stubDatabase({});
+      const wrapped = test.wrap(functionsMock.awardBadgesOnEventComplete);
+      const ride = {hostId: "host", attendeeIds: ["host", "rider"]};
+
+      await wrapped({
+        before: {exists: true, data: () => ({...ride, status: "active"})},
+        after: {exists: true, data: () => ({...ride, status: "completed"})},
+      }, {params: {eventId: "ride2"}});
+
+      assert.deepEqual(awardedBadgeIds(transaction).sort(),
+          ["bikeRides", "hostFive"]);
+      assert.deepEqual(transaction.set.getCalls()
+          .map((call) => call.args[0].path).sort(),
+      ["badgeAwards/host_hostFive", "badgeAwards/rider_bikeRides"]);
+    });
+
+    mocha.it("should only count seasonal activity in season", () => {
+      const badge = achievements.parseBadgeDefinition({
+        criteria: {type: "landmarksVisited", count: 2},
+        startsAt: new Date("2026-10-01T00:00:00Z"),
+        endsAt: new Date("2026-10-31T23:59:59Z"),
+      });
+      const activity = {
+        visitedLandmarkIds: ["north", "south", "tower"],
+        checkIns: [
+          {landmarkId: "north", checkedInAt: new Date("2026-09-30T12:00Z")},
+          {landmarkId: "south", checkedInAt: new Date("2026-10-02T12:00Z")},
+          {landmarkId: "south", checkedInAt: new Date("2026-10-03T12:00Z")},
+        ],
+      };
+
+      assert.deepEqual(achievements.badgeProgress(badge, activity),
+          {current: 1, target: 2});
+      assert.equal(achievements.parseBadgeDefinition(
+          {criteria: {type: "friends", count: 0}}), null);
+    });
+  });
+
+  mocha.describe("friends leaderboard", () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 86400000);
+    const entry = (userId, type, subjectId, occurredAt) => [
+      `${userId}_${type}_${subjectId}`,
+      {userId, type, subjectId, occurredAt},
+    ];
+    const collections = {
+      users: {
+        runner: {username: "runner", friends: ["pal", "rival"],
+          phoneNumber: "+15125550100"},
+        pal: {username: "pal", friends: ["runner"]},
+        rival: {username: "rival", friends: ["runner"]},
+        stranger: {username: "stranger"},
+      },
+      activityEntries: Object.fromEntries([
+        entry("runner", "landmarkVisited", "bridge", daysAgo(2)),
+        entry("runner", "landmarkVisited", "tower", daysAgo(20)),
+        entry("pal", "landmarkVisited", "bridge", daysAgo(1)),
+        entry("pal", "landmarkVisited", "pier", daysAgo(3)),
+        entry("rival", "landmarkVisited", "bridge", daysAgo(4)),
+        entry("rival", "eventAttended", "run", daysAgo(1)),
+        entry("rival", "eventAttended", "tomorrow", daysAgo(-1)),
+        entry("stranger", "landmarkVisited", "bridge", daysAgo(1)),
+      ]),
+    };
+
+    mocha.it("should rank friends over the period", async () => {
+      stubFirestore(collections);
+
+      const result = await functionsMock.getFriendsLeaderboard.run({
+        data: {period: "week"},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.entries.map((row) =>
+        [row.rank, row.user.id, row.landmarksVisited, row.eventsAttended]), [
+        [1, "pal", 2, 0],
+        [2, "rival", 1, 1],
+        [2, "runner", 1, 0],
+      ]);
+      assert.equal(result.entries[2].user.phoneNumber, undefined);
+    });
+
+    mocha.it("should leave out one-sided friends", async () => {
+      stubFirestore({...collections, users: {...collections.users,
+        runner: {username: "runner", friends: ["pal", "rival", "stranger"]},
+      }});
+
+      const result = await functionsMock.getFriendsLeaderboard.run({
+        data: {period: "week"},
+        auth: {uid: "runner"},
+      });
+
+      assert.deepEqual(result.entries.map((row) => row.user.id).sort(),
+          ["pal", "rival", "runner"]);
+    });
+
+    mocha.it("should count all-time activity by metric", async () => {
+      stubFirestore(collections);
+
+      const result = await functionsMock.getFriendsLeaderboard.run({
+        data: {period: "allTime", metric: "eventsAttended"},
+        auth: {uid: "runner"},
+      });
+
+      assert.equal(result.since, null);
+      assert.deepEqual(result.entries.map((row) =>
+        [row.user.id, row.eventsAttended, row.landmarksVisited]), [
+        ["rival", 1, 1],
+        ["pal", 0, 2],
+        ["runner", 0, 2],
+      ]);
+    });
+
+    mocha.it("should date event entries by the event", async () => {
+      const {batch} = stubFirestore({});
+      const wrapped = test.wrap(functionsMock.recordEventActivity);
+      const dateTime = new Date("2026-10-24T13:00:00Z");
+      const ride = {hostId: "host", status: "upcoming", dateTime};
+
+      await wrapped({
+        before: {exists: true, data: () => ({...ride,
+          attendeeIds: ["host", "leaver"]})},
+        after: {exists: true, data: () => ({...ride,
+          attendeeIds: ["host", "rider"]})},
+      }, {params: {eventId: "ride"}});
+
+      assert.deepEqual(batch.set.getCalls().map((call) =>
+        [call.args[0].path, call.args[1]]), [
+        ["activityEntries/rider_eventAttended_ride", {userId: "rider",
+          type: "eventAttended", subjectId: "ride", occurredAt: dateTime}],
+      ]);
+      assert.deepEqual(batch.delete.getCalls().map((call) =>
+        call.args[0].path), ["activityEntries/leaver_eventAttended_ride"]);
+    });
+
+    mocha.it("should record newly visited landmarks", async () => {
+      const {batch} = stubFirestore({});
+      const wrapped = test.wrap(functionsMock.recordLandmarkActivity);
+
+      await wrapped({
+        before: {data: () => ({visitedLandmarkIds: ["bridge", "tower"]})},
+        after: {data: () => ({visitedLandmarkIds: ["bridge", "pier"]})},
+      }, {params: {userId: "runner"}});
+
+      assert.deepEqual(batch.set.getCalls().map((call) =>
+        call.args[0].path), ["activityEntries/runner_landmarkVisited_pier"]);
+      assert.deepEqual(batch.delete.getCalls().map((call) =>
+        call.args[0].path), ["activityEntries/runner_landmarkVisited_tower"]);
+    });
+  });
+
+  mocha.describe("trail presence", () => {
+    const onTrail = {latitude: 30.2615, longitude: -97.7450};
+    // Inside the outer ring but in one of its holes.
+    const inHole = {latitude: 30.26415, longitude: -97.75206};
+    const locationChange = (after) => ({
+      before: rtdbSnapshot(null),
+      after: rtdbSnapshot(after),
+    });
+
+    mocha.it("should exclude the holes in the trail polygon", () => {
+      assert.equal(trail.isOnTrail(onTrail), true);
+      assert.equal(trail.isOnTrail(inHole), false);
+      assert.equal(trail.isOnTrail({latitude: 30.30, longitude: -97.70}),
+          false);
+    });
+
+    mocha.it("should record entering and leaving the trail", async () => {
+      const wrapped = test.wrap(functionsMock.updateTrailPresence);
+      const context = {params: {userId: "runner"}};
+
+      let writes = stubDatabase({});
+      await wrapped(locationChange({...onTrail, timestamp: 1000}), context);
+      assert(writes.update.calledWith({onTrail: true, enteredAt: 1000}));
+
+      writes = stubDatabase({trail_presence: {runner: {onTrail: true}}});
+      await wrapped(locationChange({...onTrail, timestamp: 2000}), context);
+      assert(writes.update.notCalled);
+
+      await wrapped(locationChange({...inHole, timestamp: 3000}), context);
+      assert(writes.update.calledWith({onTrail: false, exitedAt: 3000}));
+    });
+
+    mocha.it("should not mark an exit before any entry", async () => {
+      const wrapped = test.wrap(functionsMock.updateTrailPresence);
+      const writes = stubDatabase({});
+
+      await wrapped(locationChange(null), {params: {userId: "runner"}});
+
+      assert(writes.update.calledWith({onTrail: false}));
+    });
+  });
+
+  mocha.describe("location hygiene", () => {
+    const fix = {latitude: 30.2615, longitude: -97.7450,
+      timestamp: 1790000012345};
+    const historyChange = {before: rtdbSnapshot(null),
+      after: rtdbSnapshot(fix)};
+
+    mocha.it("should keep history only for opted-in users", async () => {
+      const wrapped = test.wrap(functionsMock.recordLocationHistory);
+      stubFirestore({users: {
+        keeper: {saveLocationHistory: true},
+        private: {},
+      }});
+
+      let writes = stubDatabase({});
+      await wrapped(historyChange, {params: {userId: "private"}});
+      assert(writes.set.notCalled);
+
+      writes = stubDatabase({});
+      await wrapped(historyChange, {params: {userId: "keeper"}});
+      const slot = Math.floor(fix.timestamp / 30000) % 480;
+      assert.equal(databaseStub.ref.lastCall.args[0],
+          `location_history/keeper/p${slot}`);
+      assert(writes.set.calledWith(fix));
+    });
+
+    mocha.it("should expire stale locations and old history", async () => {
+      const now = Date.now();
+      stubFirestore({users: {keeper: {saveLocationHistory: true}}});
+      const writes = stubDatabase({
+        locations: {
+          gone: {latitude: 30.26, longitude: -97.74,
+            lastUpdated: now - 2 * 60 * 60 * 1000},
+          here: {latitude: 30.26, longitude: -97.74, lastUpdated: now},
+        },
+        location_history: {
+          keeper: {
+            p1: {timestamp: now - 25 * 60 * 60 * 1000},
+            p2: {timestamp: now - 60 * 1000},
+          },
+        },
+      });
+      const wrapped = test.wrap(functionsMock.expireStaleLocations);
+
+      await wrapped({});
+
+      assert.deepEqual(writes.update.firstCall.args[0], {
+        "locations/gone": null,
+        "location_history/keeper/p1": null,
+      });
+    });
+
+    mocha.it("should read the location TTL from config", async () => {
+      stubFirestore({});
+      const writes = stubDatabase({locations: {
+        idle: {latitude: 30.26, longitude: -97.74,
+          lastUpdated: Date.now() - 2 * 60 * 60 * 1000},
+      }});
+      process.env.LOCATION_TTL_MINUTES = "180";
+
+      try {
+        await test.wrap(functionsMock.expireStaleLocations)({});
+      } finally {
+        delete process.env.LOCATION_TTL_MINUTES;
+      }
+
+      assert(writes.update.notCalled);
+    });
+
+    mocha.it("should delete history when a user opts out", async () => {
+      const writes = stubDatabase({});
+      const wrapped = test.wrap(functionsMock.clearLocationHistoryOnOptOut);
+
+      await wrapped({
+        before: {data: () => ({saveLocationHistory: true})},
+        after: {data: () => ({saveLocationHistory: false})},
+      }, {params: {userId: "keeper"}});
+
+      assert(writes.remove.calledOnce);
+      assert.equal(databaseStub.ref.lastCall.args[0],
+          "location_history/keeper");
+    });
+  });
+
+  mocha.describe("location audience", () => {
+    const readerSets = (writes) => {
+      const sets = {};
+      writes.set.getCalls().forEach((call) => {
+        sets[call.thisValue.path] = call.args[0];
+      });
+      return sets;
+    };
+    const startedRun = () => ({
+      hostId: "host",
+      attendeeIds: ["host", "walker", "buddy"],
+      status: "active",
+      eventType: "walk",
+      dateTime: new Date(Date.now() - 10 * 60 * 1000),
+    });
+
+    mocha.it("should follow sharing settings and skip blocked users",
+        async () => {
+          const walker = {
+            friends: ["pal", "foe"],
+            shareLocationWithEventGroup: false,
+          };
+          stubFirestore({
+            users: {walker},
+            events: {
+              run: startedRun(),
+              later: {
+                hostId: "other",
+                attendeeIds: ["walker", "stranger"],
+                status: "upcoming",
+                dateTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+              },
+            },
+          });
+          const writes = stubDatabase({blocks: {walker: {foe: 1}}});
+
+          await functionsMock.updateLocationReadersFromUser.run({
+            before: firestoreDoc("walker", {friends: ["pal"]}),
+            after: firestoreDoc("walker", walker),
+          }, {params: {userId: "walker"}});
+
+          assert.deepEqual(readerSets(writes), {
+            "locationReaders/walker": {pal: true, host: true},
+          });
+        });
+
+    mocha.it("should ignore user changes that keep the audience",
+        async () => {
+          stubFirestore({});
+          const writes = stubDatabase({});
+
+          await functionsMock.updateLocationReadersFromUser.run({
+            before: firestoreDoc("walker", {friends: ["pal"], bio: "a"}),
+            after: firestoreDoc("walker", {friends: ["pal"], bio: "b",
+              shareLocationWithFriends: true}),
+          }, {params: {userId: "walker"}});
+
+          assert(writes.set.notCalled);
+          assert(writes.remove.notCalled);
+        });
+
+    mocha.it("should open event audiences when the event starts",
+        async () => {
+          stubFirestore({
+            users: {host: {}, walker: {}, buddy: {}},
+            events: {run: startedRun()},
+          });
+          const writes = stubDatabase({});
+
+          await functionsMock.updateLocationReadersFromEvent.run({
+            before: firestoreDoc("run", {...startedRun(), status: "upcoming"}),
+            after: firestoreDoc("run", startedRun()),
+          }, {params: {eventId: "run"}});
+
+          assert.deepEqual(readerSets(writes), {
+            "locationReaders/host": {walker: true, buddy: true},
+            "locationReaders/walker": {host: true, buddy: true},
+            "locationReaders/buddy": {host: true, walker: true},
+          });
+        });
+
+    mocha.it("should close event audiences when the event completes",
+        async () => {
+          const completed = {...startedRun(), status: "completed"};
+          stubFirestore({
+            users: {host: {}, walker: {friends: ["pal"]}, buddy: {}},
+            events: {run: completed},
+          });
+          const writes = stubDatabase({});
+
+          await functionsMock.updateLocationReadersFromEvent.run({
+            before: firestoreDoc("run", startedRun()),
+            after: firestoreDoc("run", completed),
+          }, {params: {eventId: "run"}});
+
+          assert.deepEqual(readerSets(writes), {
+            "locationReaders/host": {},
+            "locationReaders/walker": {pal: true},
+            "locationReaders/buddy": {},
+          });
+        });
+
+    mocha.it("should skip events outside their time window", async () => {
+      stubFirestore({});
+      const writes = stubDatabase({});
+      const upcoming = {
+        ...startedRun(),
+        status: "upcoming",
+        dateTime: new Date(Date.now() + 60 * 60 * 1000),
+      };
+
+      await functionsMock.updateLocationReadersFromEvent.run({
+        before: firestoreDoc("run", upcoming),
+        after: firestoreDoc("run", {...upcoming,
+          attendeeIds: [...upcoming.attendeeIds, "late"]}),
+      }, {params: {eventId: "run"}});
+
+      assert(writes.set.notCalled);
+    });
+  });
+
+  mocha.describe("location shares", () => {
+    const tokenHash = crypto.createHash("sha256")
+        .update("share-token").digest("hex");
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000);
+
+    /**
+     * Invokes a location share endpoint with a recording response.
+     * @param {string} name Endpoint export name.
+     * @param {object} query Request query parameters.
+     * @param {string=} ip Client IP address.
+     * @return {Promise<object>} Response with status, headers and body.
+     */
+    async function fetchShare(name, query, ip = "203.0.113.7") {
+      const response = {headers: {}};
+      const res = {
+        set: (header, value) => {
+          response.headers[header] = value;
+          return res;
+        },
+        status: (code) => {
+          response.status = code;
+          return res;
+        },
+        send: (body) => {
+          response.body = body;
+          return res;
+        },
+        json: (body) => {
+          response.body = body;
+          return res;
+        },
+        on: () => res,
+      };
+      await functionsMock[name](
+          {method: "GET", query, ip, headers: {}, get: () => undefined},
+          res,
+      );
+      return response;
+    }
+
+    mocha.it("should store only a hash of a new share token", async () => {
+      const {refs} = stubFirestore({});
+
+      const result = await functionsMock.createLocationShare.run({
+        data: {durationMinutes: 120, label: " Night run "},
+        auth: {uid: "runner"},
+      });
+
+      const token = new URL(result.url).searchParams.get("token");
+      assert.equal(new URL(result.url).pathname, "/locationShareMap");
+      assert.equal(new URL(result.dataUrl).searchParams.get("token"), token);
+      const stored = refs[`locationShares/${result.shareId}`].set
+          .firstCall.args[0];
+      assert.equal(stored.userId, "runner");
+      assert.equal(stored.label, "Night run");
+      assert.equal(stored.tokenHash,
+          crypto.createHash("sha256").update(token).digest("hex"));
+      assert(!JSON.stringify(stored).includes(token));
+      const minutesLeft = (new Date(result.expiresAt) - Date.now()) / 60000;
+      assert(minutesLeft > 119 && minutesLeft <= 120);
+    });
+
+    mocha.it("should validate the duration and active share count",
+        async () => {
+          const shares = {};
+          for (let i = 0; i < 5; i++) {
+            shares[`live${i}`] = {userId: "runner", expiresAt: inMinutes(30)};
+          }
+          stubFirestore({locationShares: shares});
+
+          await assert.rejects(functionsMock.createLocationShare.run({
+            data: {durationMinutes: 5},
+            auth: {uid: "runner"},
+          }), {code: "invalid-argument"});
+          await assert.rejects(functionsMock.createLocationShare.run({
+            data: {},
+            auth: {uid: "runner"},
+          }), {code: "resource-exhausted"});
+        });
+
+    mocha.it("should list and revoke only the caller's live shares",
+        async () => {
+          const {refs} = stubFirestore({locationShares: {
+            later: {userId: "runner", label: "Long ride",
+              expiresAt: inMinutes(90)},
+            soon: {userId: "runner", expiresAt: inMinutes(10)},
+            expired: {userId: "runner", expiresAt: inMinutes(-10)},
+            theirs: {userId: "pal", expiresAt: inMinutes(10)},
+          }});
+
+          const listed = await functionsMock.listLocationShares.run({
+            data: {},
+            auth: {uid: "runner"},
+          });
+          assert.deepEqual(listed.shares.map((share) => share.shareId),
+              ["soon", "later"]);
+          assert.equal(listed.shares[1].label, "Long ride");
+          assert(!JSON.stringify(listed).includes("tokenHash"));
+
+          await assert.rejects(functionsMock.revokeLocationShare.run({
+            data: {shareId: "theirs"},
+            auth: {uid: "runner"},
+          }), {code: "not-found"});
+          await functionsMock.revokeLocationShare.run({
+            data: {shareId: "soon"},
+            auth: {uid: "runner"},
+          });
+          assert(refs["locationShares/soon"].delete.calledOnce);
+          assert(refs["locationShares/theirs"].delete.notCalled);
+        });
+
+    mocha.it("should resolve a token to the live location", async () => {
+      stubFirestore({
+        users: {runner: {firstName: "Ana"}},
+        locationShares: {share: {userId: "runner", tokenHash,
+          expiresAt: inMinutes(60)}},
+      });
+      stubDatabase({locations: {runner: {latitude: 30.2615,
+        longitude: -97.7450, timestamp: 1790000000000,
+        lastUpdated: 1790000000000}}});
+
+      const response = await fetchShare("locationShare",
+          {token: "share-token"});
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers["Cache-Control"], "no-store");
+      assert.deepEqual(response.body.location, {
+        latitude: 30.2615,
+        longitude: -97.7450,
+        updatedAt: new Date(1790000000000).toISOString(),
+      });
+      assert.equal(response.body.name, "Ana");
+      assert.equal(response.body.onTrail, true);
+    });
+
+    mocha.it("should refuse unknown and expired tokens", async () => {
+      stubFirestore({locationShares: {share: {userId: "runner", tokenHash,
+        expiresAt: inMinutes(-1)}}});
+      stubDatabase({});
+
+      assert.equal((await fetchShare("locationShare",
+          {token: "guessed-token"})).status, 404);
+      assert.equal((await fetchShare("locationShare",
+          {token: "share-token"})).status, 410);
+    });
+
+    mocha.it("should serve the map page and rate limit by client",
+        async () => {
+          const page = await fetchShare("locationShareMap",
+              {token: "share-token"}, "198.51.100.1");
+          assert.equal(page.status, 200);
+          assert(page.body.includes("locationShare?token="));
+          const assets = page.body.match(/<(script|link)[^>]*unpkg[^>]*>/g);
+          assert.equal(assets.length, 2);
+          assets.forEach((tag) => assert(
+              /integrity="sha256-[^"]+" crossorigin="anonymous"/.test(tag)));
+
+          let response;
+          for (let i = 0; i < 60; i++) {
+            response = await fetchShare("locationShareMap", {},
+                "198.51.100.2");
+          }
+          assert.equal(response.status, 200);
+          response = await fetchShare("locationShareMap", {}, "198.51.100.2");
+          assert.equal(response.status, 429);
+          response = await fetchShare("locationShareMap", {}, "198.51.100.3");
+          assert.equal(response.status, 200);
+        });
+
+    mocha.it("should delete expired shares", async () => {
+      const {batch} = stubFirestore({locationShares: {
+        expired: {userId: "runner", expiresAt: inMinutes(-1)},
+        live: {userId: "runner", expiresAt: inMinutes(30)},
+      }});
+
+      await test.wrap(functionsMock.deleteExpiredLocationShares)({});
+
+      assert.deepEqual(batch.delete.getCalls()
+          .map((call) => call.args[0].path), ["locationShares/expired"]);
+    });
+  });
+
+  mocha.describe("suggestMeetup", () => {
+    const fix = (latitude, longitude, ageMs = 0) => ({latitude, longitude,
+      timestamp: Date.now() - ageMs, lastUpdated: Date.now() - ageMs});
+    const landmarks = {
+      // Closest in a straight line, but across the water from both.
+      southBank: {name: "South Bank Bench", latitude: 30.2645,
+        longitude: -97.7555},
+      overlook: {name: "Boardwalk Overlook", category: "viewpoint",
+        latitude: 30.2668, longitude: -97.7565},
+      unmapped: {name: "Somewhere"},
+    };
+
+    mocha.it("should minimize the longest walk along the trail", async () => {
+      stubFirestore({landmarks});
+      stubDatabase({
+        locationReaders: {pal: {me: true}, late: {me: true}},
+        locations: {
+          me: fix(30.2615, -97.7450),
+          pal: fix(30.2700, -97.7660),
+          late: fix(30.2650, -97.7500, 60 * 60 * 1000),
+        },
+      });
+
+      const result = await functionsMock.suggestMeetup.run({
+        data: {friendIds: ["pal", "late", "me"], eventType: "run"},
+        auth: {uid: "me"},
+      });
+
+      assert.equal(result.landmark.id, "overlook");
+      assert.equal(result.landmark.category, "viewpoint");
+      assert.deepEqual(result.missingUserIds, ["late"]);
+      assert.deepEqual(result.participants.map((p) => p.userId),
+          ["me", "pal"]);
+      result.participants.forEach((participant) => {
+        assert(Math.abs(participant.etaMinutes -
+          participant.distanceMeters / 170) <= 1);
+        assert(participant.distanceMeters <= result.maxDistanceMeters);
+      });
+      assert.equal(result.maxDistanceMeters, Math.max(
+          ...result.participants.map((p) => p.distanceMeters)));
+      assert(result.maxDistanceMeters > 1000 &&
+        result.maxDistanceMeters < 2000);
+    });
+
+    mocha.it("should require friends who share their location", async () => {
+      stubFirestore({landmarks});
+      stubDatabase({
+        locationReaders: {pal: {me: true}},
+        locations: {
+          me: fix(30.2615, -97.7450),
+          pal: fix(30.2700, -97.7660),
+          stranger: fix(30.2668, -97.7565),
+        },
+      });
+
+      await assert.rejects(functionsMock.suggestMeetup.run({
+        data: {friendIds: ["pal", "stranger"]},
+        auth: {uid: "me"},
+      }), (error) => error.code === "permission-denied" &&
+        error.details.userIds.join() === "stranger");
+    });
+
+    mocha.it("should need two current locations and a known pace",
+        async () => {
+          stubFirestore({landmarks});
+          stubDatabase({
+            locationReaders: {pal: {me: true}},
+            locations: {pal: fix(30.2700, -97.7660)},
+          });
+
+          await assert.rejects(functionsMock.suggestMeetup.run({
+            data: {friendIds: ["pal"], eventType: "swim"},
+            auth: {uid: "me"},
+          }), {code: "invalid-argument"});
+          await assert.rejects(functionsMock.suggestMeetup.run({
+            data: {friendIds: ["pal"]},
+            auth: {uid: "me"},
+          }), (error) => error.code === "failed-precondition" &&
+            error.details.reason === "not-enough-locations");
+        });
+  });
 });
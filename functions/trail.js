@@ -0,0 +1,295 @@
+// Butler Trail geofence. The outer ring bounds the trail corridor and the
+// inner rings are holes cut out of it, as drawn on the app's map; both mirror
+// TrailData.swift, so keep them in sync. Rings are closed [latitude,
+// longitude] lists.
+
+const TRAIL_OUTER_RING = [
+  [30.263045, -97.744948],
+  [30.263322, -97.745283],
+  [30.263467, -97.746037],
+  [30.263744, -97.747224],
+  [30.264313, -97.748863],
+  [30.265121, -97.751288],
+  [30.265896, -97.753631],
+  [30.267363, -97.758060],
+  [30.268002, -97.758940],
+  [30.269449, -97.762334],
+  [30.270214, -97.763807],
+  [30.270465, -97.764823],
+  [30.270716, -97.765810],
+  [30.270704, -97.766117],
+  [30.272153, -97.767951],
+  [30.273637, -97.768678],
+  [30.274565, -97.770089],
+  [30.275019, -97.771346],
+  [30.273532, -97.772586],
+  [30.272879, -97.773257],
+  [30.271689, -97.771605],
+  [30.270372, -97.769904],
+  [30.268323, -97.765458],
+  [30.267201, -97.762815],
+  [30.265822, -97.765048],
+  [30.265094, -97.766142],
+  [30.264610, -97.765355],
+  [30.264693, -97.764753],
+  [30.264957, -97.764219],
+  [30.265502, -97.763358],
+  [30.266439, -97.761033],
+  [30.264431, -97.757727],
+  [30.264415, -97.756874],
+  [30.263727, -97.754886],
+  [30.262196, -97.751858],
+  [30.262204, -97.751435],
+  [30.261517, -97.750755],
+  [30.260876, -97.750010],
+  [30.260164, -97.749523],
+  [30.260188, -97.749326],
+  [30.261328, -97.748196],
+  [30.260638, -97.745916],
+  [30.259672, -97.744367],
+  [30.258335, -97.743798],
+  [30.254423, -97.742628],
+  [30.252639, -97.741354],
+  [30.251478, -97.740166],
+  [30.250274, -97.738203],
+  [30.249709, -97.736963],
+  [30.248594, -97.734123],
+  [30.245976, -97.728372],
+  [30.245129, -97.727029],
+  [30.244817, -97.723448],
+  [30.242601, -97.717318],
+  [30.245129, -97.715511],
+  [30.246690, -97.714202],
+  [30.248267, -97.713445],
+  [30.251344, -97.713118],
+  [30.251285, -97.716027],
+  [30.251360, -97.718162],
+  [30.250542, -97.718867],
+  [30.248104, -97.722888],
+  [30.248869, -97.727418],
+  [30.249332, -97.729751],
+  [30.250449, -97.732381],
+  [30.251641, -97.735217],
+  [30.252285, -97.736942],
+  [30.253600, -97.738423],
+  [30.254661, -97.739015],
+  [30.255267, -97.739297],
+  [30.255608, -97.739694],
+  [30.256073, -97.739803],
+  [30.256516, -97.740055],
+  [30.258115, -97.740153],
+  [30.259626, -97.740673],
+  [30.260853, -97.741966],
+  [30.262629, -97.744596],
+  [30.263045, -97.744948],
+];
+
+const TRAIL_INNER_RINGS = [
+  [
+    [30.272828, -97.771808],
+    [30.273497, -97.771249],
+    [30.273752, -97.770841],
+    [30.273946, -97.770385],
+    [30.273395, -97.769911],
+    [30.272983, -97.769678],
+    [30.272118, -97.769737],
+    [30.271881, -97.769521],
+    [30.271305, -97.768118],
+    [30.270957, -97.767911],
+    [30.269728, -97.765566],
+    [30.269135, -97.763299],
+    [30.269008, -97.762524],
+    [30.266372, -97.756822],
+    [30.265363, -97.757273],
+    [30.266897, -97.760983],
+    [30.268516, -97.764251],
+    [30.269691, -97.767212],
+    [30.270314, -97.768648],
+    [30.272828, -97.771808],
+  ],
+  [
+    [30.265811, -97.755091],
+    [30.264699, -97.755831],
+    [30.264213, -97.754767],
+    [30.264140, -97.753010],
+    [30.263507, -97.751678],
+    [30.262955, -97.750034],
+    [30.262529, -97.748564],
+    [30.263501, -97.748139],
+    [30.264133, -97.749827],
+    [30.263694, -97.750043],
+    [30.264233, -97.751893],
+    [30.264733, -97.752817],
+    [30.265811, -97.755091],
+  ],
+  [
+    [30.263333, -97.747529],
+    [30.263082, -97.746212],
+    [30.262529, -97.745283],
+    [30.260939, -97.745824],
+    [30.261363, -97.746913],
+    [30.261909, -97.747826],
+    [30.263333, -97.747529],
+  ],
+  [
+    [30.260748, -97.745283],
+    [30.260675, -97.744937],
+    [30.259814, -97.743814],
+    [30.259562, -97.743648],
+    [30.255814, -97.742293],
+    [30.252566, -97.739976],
+    [30.250467, -97.736630],
+    [30.251787, -97.737329],
+    [30.253458, -97.739335],
+    [30.255202, -97.740490],
+    [30.257103, -97.741247],
+    [30.258982, -97.741964],
+    [30.261020, -97.743207],
+    [30.261903, -97.744753],
+    [30.260748, -97.745283],
+  ],
+  [
+    [30.250862, -97.735360],
+    [30.247043, -97.725718],
+    [30.246730, -97.723920],
+    [30.247507, -97.721397],
+    [30.248796, -97.720310],
+    [30.248683, -97.719570],
+    [30.249059, -97.718846],
+    [30.249911, -97.718382],
+    [30.250149, -97.715453],
+    [30.248070, -97.714641],
+    [30.244751, -97.716801],
+    [30.243799, -97.716816],
+    [30.243599, -97.718425],
+    [30.243949, -97.718773],
+    [30.243862, -97.719730],
+    [30.244876, -97.722180],
+    [30.245666, -97.721920],
+    [30.246317, -97.720498],
+    [30.246668, -97.720745],
+    [30.245841, -97.722934],
+    [30.245565, -97.723442],
+    [30.245762, -97.725239],
+    [30.246438, -97.727220],
+    [30.247014, -97.728386],
+    [30.249633, -97.734912],
+    [30.250862, -97.735360],
+  ],
+];
+
+// Walking distances follow the outer ring, which runs along the trail on
+// both banks of the lake and across the bridges at each end, so distance
+// along it approximates walking the loop. Over an area this small latitude
+// and longitude are projected onto a plane in meters.
+const TRAIL_REFERENCE_LATITUDE = 30.26;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+const METERS_PER_DEGREE_LONGITUDE = METERS_PER_DEGREE_LATITUDE *
+  Math.cos(TRAIL_REFERENCE_LATITUDE * Math.PI / 180);
+
+/**
+ * Projects a point onto the trail's planar coordinates.
+ * @param {object} point {latitude, longitude}.
+ * @return {object} {x, y} in meters.
+ */
+function toPlane(point) {
+  return {
+    x: point.longitude * METERS_PER_DEGREE_LONGITUDE,
+    y: point.latitude * METERS_PER_DEGREE_LATITUDE,
+  };
+}
+
+const LOOP_VERTICES = TRAIL_OUTER_RING.map(([latitude, longitude]) =>
+  toPlane({latitude, longitude}));
+
+// Distance along the loop from its first vertex to each vertex.
+const LOOP_POSITIONS = LOOP_VERTICES.reduce((positions, vertex, index) => {
+  if (index > 0) {
+    const previous = LOOP_VERTICES[index - 1];
+    positions.push(positions[index - 1] +
+      Math.hypot(vertex.x - previous.x, vertex.y - previous.y));
+  }
+  return positions;
+}, [0]);
+const LOOP_LENGTH_M = LOOP_POSITIONS[LOOP_POSITIONS.length - 1];
+
+/**
+ * Finds the nearest point on the loop.
+ * @param {object} point {latitude, longitude}.
+ * @return {object} {position, offset}: distance along the loop from its
+ *   first vertex, and straight-line distance from the point to the loop, in
+ *   meters.
+ */
+function projectOntoLoop(point) {
+  const {x, y} = toPlane(point);
+  let nearest = {position: 0, offset: Infinity};
+  for (let i = 0; i < LOOP_VERTICES.length - 1; i++) {
+    const start = LOOP_VERTICES[i];
+    const end = LOOP_VERTICES[i + 1];
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1,
+        ((x - start.x) * dx + (y - start.y) * dy) / lengthSquared));
+    const offset = Math.hypot(x - (start.x + t * dx), y - (start.y + t * dy));
+    if (offset < nearest.offset) {
+      nearest = {
+        position: LOOP_POSITIONS[i] + t * Math.sqrt(lengthSquared),
+        offset,
+      };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Estimates the walking distance between two points by way of the trail
+ * loop: straight to the loop, the shorter way around it, then straight to
+ * the destination.
+ * @param {object} from {latitude, longitude}.
+ * @param {object} to {latitude, longitude}.
+ * @return {number} Distance in meters.
+ */
+function trailDistanceMeters(from, to) {
+  const start = projectOntoLoop(from);
+  const end = projectOntoLoop(to);
+  const along = Math.abs(start.position - end.position);
+  return start.offset + Math.min(along, LOOP_LENGTH_M - along) + end.offset;
+}
+
+/**
+ * Checks whether a point lies inside a ring (even-odd rule). The trail is
+ * small enough to treat latitude and longitude as planar coordinates.
+ * @param {object} point {latitude, longitude}.
+ * @param {Array<Array<number>>} ring Closed ring of [latitude, longitude].
+ * @return {boolean} True when the point is inside the ring.
+ */
+function ringContains(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lonI] = ring[i];
+    const [latJ, lonJ] = ring[j];
+    if ((latI > point.latitude) !== (latJ > point.latitude) &&
+        point.longitude < (lonJ - lonI) * (point.latitude - latI) /
+          (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Checks whether a point is on the trail: inside the outer ring and outside
+ * every hole.
+ * @param {object} point {latitude, longitude}.
+ * @return {boolean} True when the point is on the trail.
+ */
+function isOnTrail(point) {
+  return ringContains(point, TRAIL_OUTER_RING) &&
+    !TRAIL_INNER_RINGS.some((ring) => ringContains(point, ring));
+}
+
+module.exports = {
+  isOnTrail,
+  trailDistanceMeters,
+};